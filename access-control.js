@@ -0,0 +1,187 @@
+/**
+ * API keys and roles for REST and Socket.io control.
+ *
+ * Roles, lowest to highest: viewer (read state), operator (playback commands), admin
+ * (configuration such as cue list edits and authorization). A key may additionally be
+ * limited to a list of commands, e.g. a guest key that may only run volumeUp/volumeDown.
+ * Command names are case-insensitive so REST routes (/playTrack) and Socket.io events
+ * (playtrack) share one name.
+ *
+ * Requests without a key get anonymousRole. With no keys configured that is 'admin', which
+ * keeps the bridge open exactly as before; once keys exist it defaults to 'viewer'. Set it to
+ * 'operator' for the stock Companion module (which cannot send a key), or 'none' to reject
+ * anonymous clients entirely.
+ *
+ * Config file (API_KEYS_FILE):
+ *   { "anonymousRole": "operator", "anonymousCommands": ["play", "pause"],
+ *     "keys": [{ "name": "booth", "key": "...", "role": "operator", "commands": ["volumeUp"] }] }
+ * Env (API_KEYS): name:role:key[:cmd1|cmd2], comma separated.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+
+const ROLES = ['viewer', 'operator', 'admin'];
+const AUDIT_SIZE = 500;
+
+function roleRank (role) {
+  return ROLES.indexOf(role);
+}
+
+function hashKey (key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function commandSet (commands) {
+  if (!commands) return null;
+  if (!Array.isArray(commands)) throw new Error('commands must be an array');
+  return new Set(commands.map(c => String(c).toLowerCase()));
+}
+
+function validateRole (role, where) {
+  if (roleRank(role) === -1) throw new Error(`${where}: role must be one of ${ROLES.join(', ')}`);
+  return role;
+}
+
+/** Parse API_KEYS (name:role:key[:cmd1|cmd2], comma separated) into key entries. */
+function parseKeysEnv (value) {
+  if (!value) return [];
+  return value.split(',').map(s => s.trim()).filter(Boolean).map((entry) => {
+    const [name, role, key, commands] = entry.split(':');
+    if (!name || !role || !key) throw new Error(`API_KEYS entry "${name || entry}" must be name:role:key[:commands]`);
+    return { name, role, key, commands: commands ? commands.split('|') : null };
+  });
+}
+
+class AccessControl {
+  /**
+   * @param {object} [options]
+   * @param {Array<{name, key, role, commands}>} [options.keys]
+   * @param {string} [options.anonymousRole] role for requests without a key, or 'none'
+   * @param {string[]} [options.anonymousCommands] optional allowlist for anonymous requests
+   */
+  constructor ({ keys = [], anonymousRole, anonymousCommands = null } = {}) {
+    this._keys = new Map();
+    for (const entry of keys) {
+      if (!entry || !entry.name || !entry.key) throw new Error('Each API key needs a name and a key');
+      this._keys.set(hashKey(entry.key), {
+        name: String(entry.name),
+        role: validateRole(entry.role, `API key "${entry.name}"`),
+        commands: commandSet(entry.commands)
+      });
+    }
+    const anonRole = anonymousRole || (this._keys.size ? 'viewer' : 'admin');
+    this._anonymous = anonRole === 'none'
+      ? null
+      : { name: 'anonymous', role: validateRole(anonRole, 'anonymousRole'), commands: commandSet(anonymousCommands) };
+    this._audit = [];
+  }
+
+  /** Build from API_KEYS_FILE, API_KEYS and AUTH_ANONYMOUS_ROLE. */
+  static fromEnv (env = process.env) {
+    let config = {};
+    if (env.API_KEYS_FILE) {
+      try {
+        config = JSON.parse(fs.readFileSync(env.API_KEYS_FILE, 'utf8'));
+      } catch (e) {
+        throw new Error(`API_KEYS_FILE ${env.API_KEYS_FILE}: ${e.message}`);
+      }
+    }
+    return new AccessControl({
+      keys: [...(config.keys || []), ...parseKeysEnv(env.API_KEYS)],
+      anonymousRole: env.AUTH_ANONYMOUS_ROLE || config.anonymousRole,
+      anonymousCommands: config.anonymousCommands || null
+    });
+  }
+
+  get enabled () {
+    return this._keys.size > 0;
+  }
+
+  /** Principal for a presented key; undefined/empty key means anonymous. Null when rejected. */
+  authenticate (key) {
+    if (key == null || key === '') return this._anonymous;
+    return this._keys.get(hashKey(key)) || null;
+  }
+
+  /** Whether principal may run command (case-insensitive) with at least minRole. */
+  can (principal, command, minRole = 'operator') {
+    if (!principal || roleRank(principal.role) < roleRank(minRole)) return false;
+    if (principal.role === 'admin' || !principal.commands || !command) return true;
+    return principal.commands.has(String(command).toLowerCase());
+  }
+
+  /** Whether principal may send any playback command (drives control_status). */
+  canControl (principal) {
+    return !!principal && roleRank(principal.role) >= roleRank('operator');
+  }
+
+  audit (principal, command, details = {}) {
+    const entry = {
+      at: new Date().toISOString(),
+      key: principal ? principal.name : 'anonymous',
+      role: principal ? principal.role : null,
+      command,
+      ...details
+    };
+    this._audit.push(entry);
+    if (this._audit.length > AUDIT_SIZE) this._audit.shift();
+    return entry;
+  }
+
+  /** Most recent audit entries, newest last. */
+  getAudit (limit = AUDIT_SIZE) {
+    return this._audit.slice(-limit);
+  }
+
+  // ---- Express / Socket.io glue ----
+
+  /** Key from Authorization: Bearer, X-API-Key or ?key= (for Companion's plain HTTP GET buttons). */
+  static keyFromRequest (req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return req.headers['x-api-key'] || (req.query && req.query.key) || null;
+  }
+
+  /** Key from the Socket.io handshake: auth.token, ?key= or the same headers as REST. */
+  static keyFromHandshake (handshake) {
+    const auth = handshake.auth || {};
+    if (auth.token || auth.key) return auth.token || auth.key;
+    const header = handshake.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return handshake.headers['x-api-key'] || handshake.query.key || null;
+  }
+
+  /** Express middleware: sets req.principal or responds 401. */
+  authenticateRequest () {
+    return (req, res, next) => {
+      const principal = this.authenticate(AccessControl.keyFromRequest(req));
+      if (!principal) {
+        res.set('WWW-Authenticate', 'Bearer');
+        return res.status(401).send('Unauthorized');
+      }
+      req.principal = principal;
+      next();
+    };
+  }
+
+  /** Express middleware: requires minRole (after authenticateRequest). */
+  requireRole (minRole) {
+    return (req, res, next) => {
+      if (!this.can(req.principal, null, minRole)) return res.status(403).send(`Requires ${minRole} role`);
+      next();
+    };
+  }
+
+  /** Socket.io namespace middleware: sets socket.data.principal or rejects the connection. */
+  authenticateSocket () {
+    return (socket, next) => {
+      const principal = this.authenticate(AccessControl.keyFromHandshake(socket.handshake));
+      if (!principal) return next(new Error('Unauthorized'));
+      socket.data.principal = principal;
+      next();
+    };
+  }
+}
+
+module.exports = { AccessControl, ROLES, parseKeysEnv };
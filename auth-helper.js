@@ -1,82 +1,76 @@
 /**
  * One-time loopback server to obtain a Spotify Refresh Token (Authorization Code Flow).
- * Run: node auth-helper.js
- * Requires SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET in env (or .env).
+ * Run: node auth-helper.js [--zone <name>]
+ * Requires SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET in env (or .env). A named zone with
+ * its own ZONE_<NAME>_SPOTIFY_CLIENT_ID/SECRET is authorized with those instead, as the
+ * bridge refreshes its token with that client.
  * Prints the auth URL; open it in a browser. Callback must use http://127.0.0.1:8888/callback.
+ * The refresh token is saved to the token store (files.tokenStore in CONFIG_FILE or
+ * TOKEN_STORE_FILE, default tokens.json, the same file the bridge reads)
+ * under the zone name ('default' for the root zone), where the bridge picks it up.
+ * Messages go through the bridge logger (LOG_LEVEL, LOG_FORMAT); the URL to open, and the
+ * token itself when it can't be saved, are printed as they are.
  */
 
 require('dotenv').config();
 const http = require('http');
+const { FileTokenStore } = require('./token-store.js');
+const { buildAuthorizeUrl, exchangeCode, parseScopes, escapeHtml } = require('./oauth.js');
+const { logger } = require('./logger.js');
+const { Config, zoneEnvPrefix, zoneCredentialsFromEnv } = require('./config.js');
 
 const REDIRECT_URI = 'http://127.0.0.1:8888/callback';
-const SCOPES = [
-  'user-read-playback-state',
-  'user-modify-playback-state',
-  'user-read-currently-playing'
-].join(' ');
+const SCOPES = parseScopes(process.env.OAUTH_SCOPES);
 
-function getAuthUrl () {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
+/** Env var prefix of a zone's own credentials; '' for the default zone. */
+function envPrefix (zone) {
+  return zone === 'default' ? '' : zoneEnvPrefix(zone);
+}
+
+/** The Spotify app the bridge uses for this zone (server.js resolves it the same way). */
+function zoneClient (zone = 'default') {
+  const { clientId, clientSecret } = zoneCredentialsFromEnv(envPrefix(zone));
+  return { clientId, clientSecret };
+}
+
+function getAuthUrl (zone = 'default') {
+  const { clientId } = zoneClient(zone);
   if (!clientId) {
-    console.error('Error: SPOTIFY_CLIENT_ID is not set.');
-    console.error('Set it in .env or export SPOTIFY_CLIENT_ID=your_client_id');
+    logger.error('SPOTIFY_CLIENT_ID is not set. Set it in .env or export SPOTIFY_CLIENT_ID=your_client_id');
     process.exit(1);
   }
-  const params = new URLSearchParams({
-    client_id: clientId,
-    response_type: 'code',
-    redirect_uri: REDIRECT_URI,
-    scope: SCOPES,
-    show_dialog: 'true'
-  });
-  return `https://accounts.spotify.com/authorize?${params.toString()}`;
+  return buildAuthorizeUrl({ clientId, redirectUri: REDIRECT_URI, scopes: SCOPES });
 }
 
-function checkEnv () {
+function checkEnv (zone = 'default') {
+  const { clientId, clientSecret } = zoneClient(zone);
+  const prefix = envPrefix(zone);
+  const name = (key) => (prefix ? `${prefix}${key} or ${key}` : key);
   const missing = [];
-  if (!process.env.SPOTIFY_CLIENT_ID) missing.push('SPOTIFY_CLIENT_ID');
-  if (!process.env.SPOTIFY_CLIENT_SECRET) missing.push('SPOTIFY_CLIENT_SECRET');
+  if (!clientId) missing.push(name('SPOTIFY_CLIENT_ID'));
+  if (!clientSecret) missing.push(name('SPOTIFY_CLIENT_SECRET'));
   if (missing.length) {
-    console.error('Error: Missing required environment variable(s):');
-    missing.forEach((v) => console.error('  - ' + v));
-    console.error('Set them in .env or export before running. Redirect URI must be: ' + REDIRECT_URI);
+    logger.error('Missing required environment variable(s): ' + missing.join(', ') + '. Set them in .env or export before running.', { zone, missing, redirectUri: REDIRECT_URI });
     process.exit(1);
   }
 }
 
-async function exchangeCodeForTokens (code) {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
-  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
-  if (!clientId || !clientSecret) {
-    throw new Error('SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET required');
-  }
-  const body = new URLSearchParams({
-    grant_type: 'authorization_code',
+async function exchangeCodeForTokens (code, zone = 'default') {
+  const { clientId, clientSecret } = zoneClient(zone);
+  return exchangeCode({
+    clientId,
+    clientSecret,
     code,
-    redirect_uri: REDIRECT_URI
-  });
-  const auth = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-  const res = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/x-www-form-urlencoded',
-      Authorization: `Basic ${auth}`
-    },
-    body: body.toString()
+    redirectUri: REDIRECT_URI
   });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`Token exchange failed: ${res.status} ${text}`);
-  }
-  return res.json();
 }
 
-function runLoopback () {
+function runLoopback (zone = 'default') {
   return new Promise((resolve) => {
     const server = http.createServer(async (req, res) => {
       const url = new URL(req.url || '/', `http://${req.headers.host}`);
       if (url.pathname !== '/callback') {
-        res.writeHead(302, { Location: getAuthUrl() });
+        res.writeHead(302, { Location: getAuthUrl(zone) });
         res.end();
         return;
       }
@@ -89,8 +83,9 @@ function runLoopback () {
 ${body}
 </body></html>`;
       if (error) {
+        logger.error('Authorization failed: ' + error, { route: url.pathname });
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(html(`<p style="color:red;">Authorization failed: ${error}</p><p>You can close this tab.</p>`));
+        res.end(html(`<p style="color:red;">Authorization failed: ${escapeHtml(error)}</p><p>You can close this tab.</p>`));
         server.close();
         resolve(null);
         return;
@@ -103,43 +98,74 @@ ${body}
         return;
       }
       try {
-        const tokens = await exchangeCodeForTokens(code);
+        const tokens = await exchangeCodeForTokens(code, zone);
         const refreshToken = tokens.refresh_token;
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
         res.end(html(`
 <h2>Success</h2>
-<p>Your refresh token is printed in the terminal. Add <code>SPOTIFY_REFRESH_TOKEN=...</code> to your <code>.env</code>. You can close this tab.</p>
+<p>Authorization complete; the refresh token has been saved for the bridge. You can close this tab.</p>
         `));
         server.close();
         resolve(refreshToken);
       } catch (err) {
+        logger.error('Token exchange failed', { route: url.pathname, err });
         res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
-        res.end(html(`<p style="color:red;">Error: ${err.message}</p><p>You can close this tab.</p>`));
+        res.end(html(`<p style="color:red;">Error: ${escapeHtml(err.message)}</p><p>You can close this tab.</p>`));
         server.close();
         resolve(null);
       }
     });
     server.listen(8888, '127.0.0.1', () => {
-      console.log('Open this URL in your browser (redirect URI must be http://127.0.0.1:8888/callback):\n');
-      console.log(getAuthUrl());
-      console.log('\nWaiting for callback at ' + REDIRECT_URI + ' ...');
+      logger.info('Open this URL in your browser (redirect URI must be ' + REDIRECT_URI + '):');
+      process.stdout.write(getAuthUrl(zone) + '\n');
+      logger.info('Waiting for callback at ' + REDIRECT_URI + ' ...');
     });
   });
 }
 
+/** Zone to store the token under: --zone <name>, default 'default'. */
+function zoneFromArgs (argv) {
+  const i = argv.indexOf('--zone');
+  return i !== -1 && argv[i + 1] ? argv[i + 1] : 'default';
+}
+
+/** Token store file as the bridge resolves it; throws when the config file is invalid. */
+function tokenStoreFile () {
+  return Config.fromEnv().get('files.tokenStore');
+}
+
+async function saveRefreshToken (refreshToken, zone, file = tokenStoreFile()) {
+  const store = new FileTokenStore(file);
+  await store.set(zone, { refreshToken, flow: 'secret' });
+  return store.file;
+}
+
 if (require.main === module) {
-  checkEnv();
-  runLoopback().then((refreshToken) => {
-    if (refreshToken) {
-      console.log('\n--- Refresh token (add to .env as SPOTIFY_REFRESH_TOKEN) ---');
-      console.log(refreshToken);
-      console.log('---');
-    } else {
-      console.error('\nNo refresh token received.');
+  const zone = zoneFromArgs(process.argv.slice(2));
+  checkEnv(zone);
+  let tokenFile;
+  try {
+    tokenFile = tokenStoreFile();
+  } catch (err) {
+    // Found before the browser round trip, not after it
+    logger.error(err.message);
+    process.exit(1);
+  }
+  runLoopback(zone).then(async (refreshToken) => {
+    if (!refreshToken) {
+      logger.error('No refresh token received.');
       process.exit(1);
     }
+    try {
+      const file = await saveRefreshToken(refreshToken, zone, tokenFile);
+      logger.info(`Refresh token saved for zone "${zone}" in ${file}. Restart the bridge to use it (a bridge whose token was revoked picks it up automatically).`, { zone, file });
+    } catch (err) {
+      logger.error('Could not save to the token store', { zone, err });
+      // The one place a token is printed: it is what this command is for
+      process.stdout.write('--- Refresh token (add to .env as SPOTIFY_REFRESH_TOKEN) ---\n' + refreshToken + '\n---\n');
+    }
     process.exit(0);
   });
 }
 
-module.exports = { getAuthUrl, exchangeCodeForTokens, runLoopback, checkEnv };
+module.exports = { getAuthUrl, exchangeCodeForTokens, runLoopback, checkEnv, saveRefreshToken, zoneClient };
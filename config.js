@@ -0,0 +1,358 @@
+/**
+ * Bridge settings: built-in defaults, then an optional JSON or YAML file (CONFIG_FILE), then
+ * env vars, which always win. Every setting is checked against SCHEMA; a bad value or an
+ * unknown key stops the bridge at startup with one message listing all problems.
+ *
+ * The file is watched while the bridge runs (and can be reloaded with POST /config/reload or
+ * SIGHUP). Settings marked live take effect at once; a reload that changes any other setting
+ * reports it as needing a restart. A file that no longer validates is rejected and the
+ * previous settings stay in force.
+ *
+ * Example (YAML):
+ *
+ *   allowControl: true
+ *   polling:
+ *     intervalMs: 1000
+ *     playingMs: 10000
+ *   devices:
+ *     deviceName: Booth PC
+ *     failover: [Backup Laptop]
+ *   zones:
+ *     lobby:
+ *       deviceName: Lobby Speakers
+ *
+ * Spotify credentials, API keys, the zone list, OSC, MQTT and OAuth settings stay env-only.
+ *
+ * Emits 'change' ({ changed, restartRequired }) after a reload that changed something and
+ * 'error' when a watched reload fails.
+ */
+
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+
+// Editors often write a file in several steps; reload once they are done
+const WATCH_DEBOUNCE_MS = 300;
+
+/**
+ * Settings by dotted key. type: boolean, integer, number, string or list (array of strings;
+ * comma-separated in env); values: the allowed strings. live: applied on reload without a restart.
+ */
+const SCHEMA = {
+  port: { env: 'PORT', type: 'integer', min: 1, max: 65535, default: 8801 },
+  allowControl: { env: 'ALLOW_CONTROL', type: 'boolean', default: true, live: true },
+  'polling.intervalMs': { env: 'POLL_INTERVAL_MS', type: 'integer', min: 100, default: 1000, live: true },
+  'polling.adaptive': { env: 'ADAPTIVE_POLLING', type: 'boolean', default: true, live: true },
+  'polling.playingMs': { env: 'POLL_PLAYING_MS', type: 'integer', min: 100, default: 10000, live: true },
+  'polling.pausedMs': { env: 'POLL_PAUSED_MS', type: 'integer', min: 100, default: 30000, live: true },
+  'polling.idleMs': { env: 'POLL_IDLE_MS', type: 'integer', min: 100, default: 60000, live: true },
+  'polling.fastWindowMs': { env: 'POLL_FAST_WINDOW_MS', type: 'integer', min: 0, default: 5000, live: true },
+  'polling.positionTickMs': { env: 'POSITION_TICK_MS', type: 'integer', min: 100, default: 1000, live: true },
+  'rateLimit.pollFactor': { env: 'RATE_LIMIT_POLL_FACTOR', type: 'number', min: 1, default: 5, live: true },
+  'rateLimit.cooldownMs': { env: 'RATE_LIMIT_COOLDOWN_MS', type: 'integer', min: 0, default: 60000, live: true },
+  'devices.deviceId': { env: 'SPOTIFY_DEVICE_ID', type: 'string', default: null, live: true },
+  'devices.deviceName': { env: 'SPOTIFY_DEVICE_NAME', type: 'string', default: null, live: true },
+  'devices.failover': { env: 'SPOTIFY_DEVICE_FAILOVER', type: 'list', default: [], live: true },
+  'devices.pollMs': { env: 'DEVICE_POLL_MS', type: 'integer', min: 1000, default: 15000, live: true },
+  'devices.autoTransferOnStart': { env: 'SPOTIFY_AUTO_TRANSFER_ON_START', type: 'boolean', default: true, live: true },
+  'ramps.minStepMs': { env: 'RAMP_MIN_STEP_MS', type: 'integer', min: 10, default: 100, live: true },
+  'ramps.crossfadeSeconds': { env: 'CROSSFADE_SECONDS', type: 'number', min: 0, default: 3, live: true },
+  'health.maxPollAgeMs': { env: 'HEALTH_MAX_POLL_AGE_MS', type: 'integer', min: 1000, default: 180000, live: true },
+  'health.requireActiveDevice': { env: 'HEALTH_REQUIRE_ACTIVE_DEVICE', type: 'boolean', default: false, live: true },
+  'logging.level': { env: 'LOG_LEVEL', type: 'string', values: ['debug', 'info', 'warn', 'error'], default: 'info', live: true },
+  'logging.format': { env: 'LOG_FORMAT', type: 'string', values: ['text', 'json'], default: 'text', live: true },
+  'files.cueList': { env: 'CUE_LIST_FILE', type: 'string', default: 'cues.json' },
+  'files.schedule': { env: 'SCHEDULE_FILE', type: 'string', default: 'schedule.json' },
+  'files.webhooks': { env: 'WEBHOOKS_FILE', type: 'string', default: 'webhooks.json' },
+  'files.tokenStore': { env: 'TOKEN_STORE_FILE', type: 'string', default: 'tokens.json' },
+  'history.enabled': { env: 'HISTORY_ENABLED', type: 'boolean', default: true },
+  'history.dir': { env: 'HISTORY_DIR', type: 'string', default: 'history' },
+  'history.retentionDays': { env: 'HISTORY_RETENTION_DAYS', type: 'integer', min: 0, default: 400 }
+};
+
+// Device targets of named zones: zones.<name>.<field>, overridden by ZONE_<NAME>_<env>
+const ZONE_DEVICE_SCHEMA = {
+  deviceId: { env: 'SPOTIFY_DEVICE_ID', type: 'string' },
+  deviceName: { env: 'SPOTIFY_DEVICE_NAME', type: 'string' },
+  failover: { env: 'SPOTIFY_DEVICE_FAILOVER', type: 'list' }
+};
+
+/** Env var prefix of a named zone: lobby -> ZONE_LOBBY_ */
+function zoneEnvPrefix (name) {
+  return `ZONE_${name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`;
+}
+
+/**
+ * Spotify credentials of a zone (env-only, not settings): named zones share
+ * SPOTIFY_CLIENT_ID/SECRET unless they set their own <prefix>SPOTIFY_CLIENT_ID/SECRET.
+ * @param {string} prefix zoneEnvPrefix(name), '' for the default zone
+ */
+function zoneCredentialsFromEnv (prefix, env = process.env) {
+  const zoneEnv = (key) => (prefix ? env[prefix + key] : undefined);
+  return {
+    clientId: zoneEnv('SPOTIFY_CLIENT_ID') || env.SPOTIFY_CLIENT_ID,
+    clientSecret: zoneEnv('SPOTIFY_CLIENT_SECRET') || env.SPOTIFY_CLIENT_SECRET,
+    refreshToken: prefix ? zoneEnv('SPOTIFY_REFRESH_TOKEN') : env.SPOTIFY_REFRESH_TOKEN
+  };
+}
+
+/** Convert and check one value; returns { value } or { error }. Env values arrive as strings. */
+function coerce (spec, raw, fromEnv) {
+  let value = raw;
+  if (spec.type === 'boolean') {
+    if (fromEnv) value = ['true', '1', 'yes', 'on'].includes(raw.toLowerCase()) ? true : ['false', '0', 'no', 'off'].includes(raw.toLowerCase()) ? false : raw;
+    if (typeof value !== 'boolean') return { error: 'must be true or false' };
+  } else if (spec.type === 'integer' || spec.type === 'number') {
+    if (fromEnv) value = raw.trim() === '' ? NaN : Number(raw);
+    const kind = spec.type === 'integer' ? 'an integer' : 'a number';
+    if (typeof value !== 'number' || !Number.isFinite(value) || (spec.type === 'integer' && !Number.isInteger(value))) {
+      return { error: `must be ${kind}` };
+    }
+    if (spec.min != null && value < spec.min) return { error: `must be ${kind} >= ${spec.min}` };
+    if (spec.max != null && value > spec.max) return { error: `must be ${kind} <= ${spec.max}` };
+  } else if (spec.type === 'list') {
+    if (fromEnv) value = raw.split(',');
+    if (typeof value === 'string') value = [value];
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' && typeof item !== 'number')) {
+      return { error: 'must be a list of strings' };
+    }
+    value = value.map(item => String(item).trim()).filter(Boolean);
+  } else {
+    if (typeof value === 'number') value = String(value);
+    if (value !== null && typeof value !== 'string') return { error: 'must be a string' };
+    if (value === '') value = null;
+    if (spec.values && !spec.values.includes(value)) return { error: `must be one of ${spec.values.join(', ')}` };
+  }
+  return { value };
+}
+
+function describe (value) {
+  return value === undefined ? 'nothing' : JSON.stringify(value);
+}
+
+/** Flatten { polling: { intervalMs: 1 } } to { 'polling.intervalMs': 1 }, except zones and lists. */
+function flatten (object, prefix = '', out = {}) {
+  for (const [key, value] of Object.entries(object)) {
+    const dotted = prefix + key;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !SCHEMA[dotted] && dotted !== 'zones') {
+      flatten(value, dotted + '.', out);
+    } else {
+      out[dotted] = value;
+    }
+  }
+  return out;
+}
+
+function nest (flat) {
+  const out = {};
+  for (const [key, value] of Object.entries(flat)) {
+    const parts = key.split('.');
+    let node = out;
+    for (const part of parts.slice(0, -1)) node = node[part] = node[part] || {};
+    node[parts[parts.length - 1]] = value;
+  }
+  return out;
+}
+
+function sameValue (a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+class Config extends EventEmitter {
+  /**
+   * Holds the defaults until load().
+   * @param {object} [options]
+   * @param {string|null} [options.file] JSON or YAML settings file (.yaml/.yml are read as YAML)
+   * @param {object} [options.env] env vars, default process.env
+   */
+  constructor ({ file = null, env = process.env } = {}) {
+    super();
+    this.file = file ? path.resolve(file) : null;
+    this.env = env;
+    this.values = Object.fromEntries(Object.entries(SCHEMA).map(([key, spec]) => [key, spec.default]));
+    this.sources = Object.fromEntries(Object.keys(SCHEMA).map(key => [key, 'default']));
+    this.zones = {};
+    this.loadedAt = null;
+    this._watcher = null;
+    this._debounce = null;
+  }
+
+  /** Settings from CONFIG_FILE (if set) and env. */
+  static fromEnv () {
+    return new Config({ file: process.env.CONFIG_FILE || null }).load();
+  }
+
+  _readFile () {
+    let text;
+    try {
+      text = fs.readFileSync(this.file, 'utf8');
+    } catch (e) {
+      throw new Error(`Config file ${this.file}: ${e.code === 'ENOENT' ? 'not found' : e.message}`);
+    }
+    let data;
+    try {
+      data = /\.ya?ml$/i.test(this.file) ? YAML.parse(text) : JSON.parse(text);
+    } catch (e) {
+      throw new Error(`Config file ${this.file}: ${e.message}`);
+    }
+    if (data == null) return {};
+    if (typeof data !== 'object' || Array.isArray(data)) throw new Error(`Config file ${this.file}: must contain an object of settings`);
+    return data;
+  }
+
+  /** Resolve every setting from defaults, file and env; throws listing every invalid value. */
+  _resolve () {
+    const fileValues = flatten(this.file ? this._readFile() : {});
+    const errors = [];
+    const values = {};
+    const sources = {};
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+      values[key] = spec.default;
+      sources[key] = 'default';
+      if (fileValues[key] !== undefined) {
+        const { value, error } = coerce(spec, fileValues[key], false);
+        if (error) errors.push(`${key}: ${error} (got ${describe(fileValues[key])})`);
+        else {
+          values[key] = value;
+          sources[key] = 'file';
+        }
+      }
+      const raw = this.env[spec.env];
+      if (raw != null && raw !== '') {
+        const { value, error } = coerce(spec, raw, true);
+        if (error) errors.push(`${spec.env}: ${error} (got ${JSON.stringify(raw)})`);
+        else {
+          values[key] = value;
+          sources[key] = 'env';
+        }
+      }
+    }
+    for (const key of Object.keys(fileValues)) {
+      if (SCHEMA[key] || key === 'zones') continue;
+      const similar = Object.keys(SCHEMA).find(known => known.toLowerCase() === key.toLowerCase());
+      errors.push(`${key}: unknown setting${similar ? ` (did you mean ${similar}?)` : ''}`);
+    }
+    const zones = this._resolveZones(fileValues.zones, errors);
+    if (errors.length) {
+      throw new Error(`Invalid configuration${this.file ? ` in ${this.file}` : ''}:\n  ${errors.join('\n  ')}`);
+    }
+    return { values, sources, zones };
+  }
+
+  _resolveZones (raw, errors) {
+    const zones = {};
+    if (raw == null) return zones;
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push('zones: must be an object of zone names');
+      return zones;
+    }
+    for (const [name, settings] of Object.entries(raw)) {
+      if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push(`zones.${name}: must be an object`);
+        continue;
+      }
+      zones[name] = {};
+      for (const [field, value] of Object.entries(settings)) {
+        const spec = ZONE_DEVICE_SCHEMA[field];
+        if (!spec) {
+          errors.push(`zones.${name}.${field}: unknown setting (zones take ${Object.keys(ZONE_DEVICE_SCHEMA).join(', ')})`);
+          continue;
+        }
+        const result = coerce(spec, value, false);
+        if (result.error) errors.push(`zones.${name}.${field}: ${result.error} (got ${describe(value)})`);
+        else zones[name][field] = result.value;
+      }
+    }
+    return zones;
+  }
+
+  /** Read the file and env; throws (keeping the current settings) when anything is invalid. */
+  load () {
+    const { values, sources, zones } = this._resolve();
+    this.values = values;
+    this.sources = sources;
+    this.zones = zones;
+    this.loadedAt = new Date().toISOString();
+    return this;
+  }
+
+  /**
+   * Load again and emit 'change' if anything differs.
+   * @returns {{ changed: string[], restartRequired: string[] }}
+   */
+  reload () {
+    const before = { values: this.values, zones: this.zones };
+    this.load();
+    const changed = Object.keys(SCHEMA).filter(key => !sameValue(before.values[key], this.values[key]));
+    const zoneNames = new Set([...Object.keys(before.zones), ...Object.keys(this.zones)]);
+    for (const name of zoneNames) {
+      if (!sameValue(before.zones[name], this.zones[name])) changed.push(`zones.${name}`);
+    }
+    const result = { changed, restartRequired: changed.filter(key => SCHEMA[key] && !SCHEMA[key].live) };
+    if (changed.length) this.emit('change', result);
+    return result;
+  }
+
+  get (key) {
+    if (!(key in SCHEMA)) throw new Error(`Unknown setting: ${key}`);
+    return this.values[key];
+  }
+
+  /**
+   * Device target of a zone: the devices.* settings for the default zone, zones.<name> (with
+   * ZONE_<NAME>_SPOTIFY_DEVICE_* env overrides) for named zones.
+   * @returns {{ deviceId: string|null, deviceName: string|null, failover: string[] }}
+   */
+  deviceTarget (zone, defaultZone = 'default') {
+    if (zone === defaultZone) {
+      return { deviceId: this.values['devices.deviceId'], deviceName: this.values['devices.deviceName'], failover: this.values['devices.failover'] };
+    }
+    const target = { deviceId: null, deviceName: null, failover: [], ...this.zones[zone] };
+    const prefix = zoneEnvPrefix(zone);
+    for (const [field, spec] of Object.entries(ZONE_DEVICE_SCHEMA)) {
+      const raw = this.env[prefix + spec.env];
+      // Plain strings can't be invalid, so env values need no error path here
+      if (raw != null && raw !== '') target[field] = coerce(spec, raw, true).value;
+    }
+    return target;
+  }
+
+  /** Reload whenever the file changes. No-op without a file. */
+  watch () {
+    if (!this.file || this._watcher) return;
+    // Watch the directory: editors that save by rename would end a watch on the file itself
+    const name = path.basename(this.file);
+    this._watcher = fs.watch(path.dirname(this.file), (type, changed) => {
+      if (changed && changed !== name) return;
+      clearTimeout(this._debounce);
+      this._debounce = setTimeout(() => {
+        try {
+          this.reload();
+        } catch (e) {
+          this.emit('error', new Error(`${e.message}\n  (keeping the previous settings)`));
+        }
+      }, WATCH_DEBOUNCE_MS);
+    });
+    this._watcher.on('error', (err) => this.emit('error', new Error(`Config watch: ${err.message}`)));
+  }
+
+  stop () {
+    clearTimeout(this._debounce);
+    if (this._watcher) this._watcher.close();
+    this._watcher = null;
+  }
+
+  /** Current settings for GET /config: nested values, where each came from, and which reload live. */
+  toJSON () {
+    return {
+      file: this.file,
+      loadedAt: this.loadedAt,
+      settings: { ...nest(this.values), zones: this.zones },
+      sources: this.sources,
+      live: Object.keys(SCHEMA).filter(key => SCHEMA[key].live)
+    };
+  }
+}
+
+module.exports = { Config, SCHEMA, zoneEnvPrefix, zoneCredentialsFromEnv };
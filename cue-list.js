@@ -0,0 +1,280 @@
+/**
+ * Cue list / show playback for scripted services.
+ * Cues are played in order with optional start offset, stop time, target volume and fades.
+ * The list is persisted as JSON: { "name": "...", "cues": [ ... ] }.
+ *
+ * Cue fields:
+ *   name       display name
+ *   track      track URI or ID (optional if context is set)
+ *   context    context URI (album/playlist/artist, optional)
+ *   start      start offset in seconds (default 0)
+ *   stop       position in seconds at which the cue stops (optional)
+ *   volume     target volume 0–100 (optional; keeps the current volume)
+ *   fadeIn     seconds to fade from 0 to the target volume (default 0)
+ *   fadeOut    seconds to fade out when the cue stops (default 0)
+ *   autoFollow start the next cue when this one stops or its track ends (default false)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+// Fade-in target of a cue without a volume when the current volume isn't known yet (first cue after startup)
+const FALLBACK_FADE_IN_VOLUME = 50;
+// A paused track this close to its end has played out
+const TRACK_END_TOLERANCE_MS = 1000;
+
+function statusError (message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toNumber (value, field, { min = 0, max = Infinity } = {}) {
+  if (value == null || value === '') return null;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n < min || n > max) {
+    throw new Error(`Invalid cue ${field}: ${value}`);
+  }
+  return n;
+}
+
+/** Validate one cue and normalize it to the stored shape. */
+function normalizeCue (raw, index) {
+  if (!raw || typeof raw !== 'object') throw new Error(`Cue ${index + 1} must be an object`);
+  let track = raw.track ? String(raw.track).trim() : null;
+  const context = raw.context ? String(raw.context).trim() : null;
+  if (!track && !context) throw new Error(`Cue ${index + 1} needs a track or context URI`);
+  if (track && !track.startsWith('spotify:')) track = `spotify:track:${track}`;
+  if (context && !context.startsWith('spotify:')) throw new Error(`Cue ${index + 1} context must be a spotify: URI`);
+  const start = toNumber(raw.start, 'start') || 0;
+  const stop = toNumber(raw.stop, 'stop');
+  if (stop != null && stop <= start) throw new Error(`Cue ${index + 1} stop must be after start`);
+  return {
+    name: raw.name ? String(raw.name) : `Cue ${index + 1}`,
+    track,
+    context,
+    start,
+    stop,
+    volume: toNumber(raw.volume, 'volume', { max: 100 }),
+    fadeIn: toNumber(raw.fadeIn, 'fadeIn') || 0,
+    fadeOut: toNumber(raw.fadeOut, 'fadeOut') || 0,
+    autoFollow: raw.autoFollow === true
+  };
+}
+
+class CueList extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.file JSON file the list is loaded from and saved to
+   * @param {object} options.player hooks into the bridge:
+   *   getSpotify() -> SpotifyWebAPI | null
+   *   getVolume() -> current volume 0–100
+   *   rampVolume({ target, seconds, from }) -> Promise<{ completed }> (volume-ramp.js)
+   */
+  constructor ({ file, player }) {
+    super();
+    this.file = file;
+    this.player = player;
+    this.name = '';
+    this.cues = [];
+    this.index = -1;
+    this.phase = 'idle';
+    this._generation = 0;
+    this._seenPlaying = false;
+    this._restoreVolume = null;
+  }
+
+  load () {
+    if (!fs.existsSync(this.file)) return;
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this._apply(data);
+  }
+
+  async save () {
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify(this.toJSON(), null, 2) + '\n');
+    await fs.promises.rename(tmp, this.file);
+  }
+
+  /** Replace the list (validates first; the running cue is stopped without fading). */
+  async setList (data) {
+    this._apply(data);
+    this._generation++;
+    this.index = -1;
+    this.phase = 'idle';
+    await this.save();
+    this._emitState();
+  }
+
+  _apply (data) {
+    const cues = Array.isArray(data) ? data : (data && data.cues);
+    if (!Array.isArray(cues)) throw new Error('Cue list must be an array or { name, cues: [] }');
+    const normalized = cues.map(normalizeCue);
+    this.name = (data && !Array.isArray(data) && data.name) ? String(data.name) : '';
+    this.cues = normalized;
+  }
+
+  toJSON () {
+    return { name: this.name, cues: this.cues };
+  }
+
+  _summary (index) {
+    const cue = this.cues[index];
+    return cue ? { number: index + 1, ...cue } : null;
+  }
+
+  /** Payload of the cue_state event. Cue numbers are 1-based. */
+  getState () {
+    const running = this.phase !== 'idle';
+    const nextIndex = this.index + 1;
+    return {
+      name: this.name,
+      count: this.cues.length,
+      phase: this.phase,
+      current: running ? this._summary(this.index) : null,
+      next: this._summary(nextIndex),
+      lastNumber: this.index >= 0 ? this.index + 1 : null
+    };
+  }
+
+  _emitState () {
+    this.emit('state', this.getState());
+  }
+
+  _setPhase (phase) {
+    this.phase = phase;
+    this._emitState();
+  }
+
+  /** Start the next cue (the first one if nothing has run yet). */
+  go () {
+    return this._start(this.index + 1);
+  }
+
+  /** Restart the previous cue. */
+  back () {
+    return this._start(Math.max(0, this.index - 1));
+  }
+
+  /** Start cue number n (1-based); anything but a whole number is rejected (status 400). */
+  async jump (number) {
+    const n = number === '' || number == null ? NaN : Number(number);
+    if (!Number.isInteger(n)) throw statusError(`Invalid cue number: ${number}`, 400);
+    return this._start(n - 1);
+  }
+
+  /** Stop the running cue, fading out if it has a fadeOut. */
+  async stop () {
+    const generation = ++this._generation;
+    if (this.phase === 'idle') return;
+    await this._fadeOutAndPause(generation);
+    if (generation === this._generation) this._setPhase('idle');
+  }
+
+  /** Without fromVolume the ramp starts from the device's current volume. */
+  _fade (target, seconds, fromVolume) {
+    return this.player.rampVolume({ target, seconds, from: fromVolume });
+  }
+
+  async _fadeOutAndPause (generation) {
+    const spotify = this.player.getSpotify();
+    const cue = this.cues[this.index];
+    if (!spotify || !cue) return;
+    this._restoreVolume = this.player.getVolume();
+    this._setPhase(cue.fadeOut > 0 ? 'fading_out' : 'stopping');
+    if (cue.fadeOut > 0) {
+      await this._fade(0, cue.fadeOut);
+      if (generation !== this._generation) return;
+    }
+    await spotify.pause();
+    if (cue.fadeOut > 0 && this._restoreVolume != null) await spotify.setVolume(this._restoreVolume);
+  }
+
+  async _start (index) {
+    // Checked before anything changes, so a bad number leaves the running cue alone
+    if (!Number.isInteger(index) || index < 0 || index >= this.cues.length) {
+      throw statusError(this.cues.length ? `No cue ${index + 1}` : 'Cue list is empty', 404);
+    }
+    const spotify = this.player.getSpotify();
+    if (!spotify) throw new Error('Spotify not configured');
+    const generation = ++this._generation;
+    const previous = this.cues[this.index];
+
+    if (previous && previous.fadeOut > 0 && (this.phase === 'playing' || this.phase === 'fading_in')) {
+      this._restoreVolume = this.player.getVolume();
+      this._setPhase('fading_out');
+      await this._fade(0, previous.fadeOut);
+      if (generation !== this._generation) return;
+    } else if (this.phase !== 'fading_out' && this.phase !== 'stopping') {
+      // Mid-fade the device volume is not the level to come back to
+      this._restoreVolume = this.player.getVolume();
+    }
+
+    const cue = this.cues[index];
+    this.index = index;
+    this._seenPlaying = false;
+    const volume = cue.volume != null ? cue.volume : this._restoreVolume;
+    const fadeTo = volume != null ? volume : FALLBACK_FADE_IN_VOLUME;
+    const fadeIn = cue.fadeIn > 0 && fadeTo > 0;
+
+    if (fadeIn) await spotify.setVolume(0);
+    else if (volume != null) await spotify.setVolume(volume);
+    if (cue.context) await spotify.playTrackInContext(cue.track, cue.context);
+    else await spotify.playTrack(cue.track);
+    if (cue.start > 0) await spotify.seek(cue.start * 1000);
+    if (generation !== this._generation) return;
+
+    if (fadeIn) {
+      this._setPhase('fading_in');
+      await this._fade(fadeTo, cue.fadeIn, 0);
+      if (generation !== this._generation) return;
+    }
+    this._setPhase('playing');
+  }
+
+  /**
+   * Feed every state_change payload in: handles stop times and detects the end of the cue
+   * for auto-follow. A cue only counts as ended after its own track has been seen playing.
+   */
+  handleState (payload) {
+    if (this.phase !== 'playing' && this.phase !== 'fading_in') return;
+    const cue = this.cues[this.index];
+    if (!cue || !payload || !payload.state) return;
+    const { state } = payload;
+    const onCue = cue.track ? state.track_id === cue.track : state.state !== 'stopped';
+    if (onCue && state.state === 'playing') this._seenPlaying = true;
+    if (!this._seenPlaying) return;
+
+    if (onCue && cue.stop != null && this.phase === 'playing' && state.position >= cue.stop - cue.fadeOut) {
+      this._finish(true).catch(err => this.emit('error', err));
+      return;
+    }
+    const ended = cue.track ? !onCue || state.state === 'stopped' || this._trackFinished(cue, payload) : state.state === 'stopped';
+    if (ended) this._finish(false).catch(err => this.emit('error', err));
+  }
+
+  /**
+   * A track played without a context doesn't stop at its end: Spotify pauses on it, back at
+   * position 0 or still at the end. A pause anywhere else is the operator's.
+   */
+  _trackFinished (cue, { state, playbackInfo }) {
+    if (cue.context || state.state !== 'paused') return false;
+    const durationMs = (playbackInfo && playbackInfo.duration) || 0;
+    return !state.position || (durationMs > 0 && state.position * 1000 >= durationMs - TRACK_END_TOLERANCE_MS);
+  }
+
+  async _finish (reachedStop) {
+    const generation = ++this._generation;
+    const cue = this.cues[this.index];
+    if (reachedStop) {
+      await this._fadeOutAndPause(generation);
+      if (generation !== this._generation) return;
+    }
+    this._setPhase('idle');
+    if (cue.autoFollow && this.index + 1 < this.cues.length) await this.go();
+  }
+}
+
+module.exports = { CueList, normalizeCue };
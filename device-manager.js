@@ -0,0 +1,272 @@
+/**
+ * Spotify Connect devices of a zone: a live device list from periodic getDevices calls,
+ * the device the bridge targets, and failover to the next preferred device when the
+ * target disappears (e.g. the playback PC was restarted). Emits 'change' with getState()
+ * whenever the list or status changes.
+ *
+ * Preferred devices are IDs or names (case-insensitive), in order. The first one online is
+ * selected at start; later the bridge only moves on when its device goes away, it does not
+ * switch back when a higher-ranked device reappears.
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger.js');
+
+// At most one extra refresh in this window when polling reports no active device
+const MIN_REFRESH_GAP_MS = 5000;
+
+const STATUS_MESSAGES = {
+  ok: '',
+  no_devices: 'No Spotify devices online. Open Spotify on the playback computer.',
+  no_active_device: 'No active device. Start playback in Spotify or transfer to a device.',
+  target_offline: 'The selected device is offline.'
+};
+
+function simplifyDevice (device) {
+  return {
+    id: device.id,
+    name: device.name || '',
+    type: device.type || '',
+    isActive: !!device.is_active,
+    isRestricted: !!device.is_restricted,
+    volume: device.volume_percent != null ? device.volume_percent : null,
+    supportsVolume: device.supports_volume !== false
+  };
+}
+
+class DeviceManager extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function} options.getSpotify () -> SpotifyWebAPI | null
+   * @param {string[]} [options.preferred] device IDs or names, most preferred first
+   * @param {number} [options.intervalMs] getDevices poll interval
+   * @param {boolean} [options.transferOnStart] transfer playback when the first preferred device is selected
+   * @param {function} [options.isPlaying] () -> whether playback should continue on the failover device
+   * @param {Logger} [options.log] logger (logger.js), e.g. a child with the zone
+   */
+  constructor ({ getSpotify, preferred = [], intervalMs = 15000, transferOnStart = true, isPlaying = () => false, log = logger }) {
+    super();
+    this.getSpotify = getSpotify;
+    this.preferred = preferred.filter(Boolean).map(String);
+    this.intervalMs = intervalMs;
+    this.transferOnStart = transferOnStart;
+    this.isPlaying = isPlaying;
+    this.log = log;
+    this.devices = [];
+    this.targetId = null;
+    this.status = 'ok';
+    this.updatedAt = null;
+    this._timer = null;
+    this._refreshing = null;
+    this._lastRefreshAt = 0;
+    this._selected = false;
+    this._lastEmitted = null;
+    this._lastWarning = null;
+  }
+
+  /** Log a warning once until a different one (or none) comes up. */
+  _warn (message) {
+    if (message !== this._lastWarning) this.log.warn(message);
+    this._lastWarning = message;
+  }
+
+  _matches (device, idOrName) {
+    return device.id === idOrName || device.name.toLowerCase() === String(idOrName).toLowerCase();
+  }
+
+  find (idOrName) {
+    return this.devices.find(d => this._matches(d, idOrName)) || null;
+  }
+
+  /** First preferred device that is online, or null. */
+  _preferredOnline () {
+    for (const wanted of this.preferred) {
+      const device = this.find(wanted);
+      if (device && !device.isRestricted) return device;
+    }
+    return null;
+  }
+
+  getState () {
+    const active = this.devices.find(d => d.isActive) || null;
+    return {
+      devices: this.devices,
+      active: active ? active.id : null,
+      target: this.targetId,
+      preferred: this.preferred,
+      status: this.status,
+      message: this.status === 'target_offline'
+        ? `${STATUS_MESSAGES.target_offline}${this.preferred.length ? ' No preferred device is online.' : ''}`
+        : STATUS_MESSAGES[this.status],
+      updatedAt: this.updatedAt
+    };
+  }
+
+  _emitIfChanged () {
+    const { updatedAt, ...state } = this.getState();
+    const key = JSON.stringify(state);
+    if (key === this._lastEmitted) return;
+    this._lastEmitted = key;
+    this.emit('change', this.getState());
+  }
+
+  _updateStatus () {
+    const active = this.devices.find(d => d.isActive);
+    if (!this.devices.length) this.status = 'no_devices';
+    else if (this.targetId && !this.devices.some(d => d.id === this.targetId)) this.status = 'target_offline';
+    else if (!active) this.status = 'no_active_device';
+    else this.status = 'ok';
+  }
+
+  _setTarget (device) {
+    const spotify = this.getSpotify();
+    this.targetId = device.id;
+    this._lastWarning = null;
+    if (spotify) spotify.deviceId = device.id;
+  }
+
+  /** After a transfer, until the next refresh confirms it. */
+  _markActive (id) {
+    this.devices = this.devices.map(d => ({ ...d, isActive: d.id === id }));
+  }
+
+  /** Fetch the device list now (concurrent calls share one request). */
+  refresh () {
+    if (!this._refreshing) {
+      this._refreshing = this._refresh().finally(() => {
+        this._refreshing = null;
+      });
+    }
+    return this._refreshing;
+  }
+
+  /** Refresh soon after polling saw no active device, without hammering the API. */
+  refreshSoon () {
+    if (Date.now() - this._lastRefreshAt >= MIN_REFRESH_GAP_MS) this.refresh().catch(() => {});
+  }
+
+  async _refresh () {
+    const spotify = this.getSpotify();
+    if (!spotify) return this.getState();
+    this._lastRefreshAt = Date.now();
+    const devices = await spotify.getDevices({ priority: 'background' });
+    const previous = this.devices;
+    this.devices = devices.map(simplifyDevice);
+    this.updatedAt = new Date().toISOString();
+
+    if (!this._selected) {
+      await this._selectInitial();
+    } else if (this.targetId && !this.devices.some(d => d.id === this.targetId)) {
+      const lost = previous.find(d => d.id === this.targetId);
+      await this._failover(lost ? lost.name : this.targetId);
+    }
+    this._updateStatus();
+    this._emitIfChanged();
+    return this.getState();
+  }
+
+  async _selectInitial () {
+    if (!this.preferred.length) {
+      this._selected = true;
+      return;
+    }
+    const device = this._preferredOnline();
+    if (!device) {
+      const online = this.devices.map(d => d.name).join(', ') || 'none';
+      this._warn(`Preferred device ${this.preferred.join(' / ')} not online (available: ${online}); waiting for it`);
+      return;
+    }
+    this._selected = true;
+    this._setTarget(device);
+    this.log.info('Using device: ' + (device.name || 'Unknown'), { deviceId: device.id });
+    if (this.transferOnStart && !device.isActive) {
+      try {
+        await this.getSpotify().transferPlayback(device.id, false);
+        this._markActive(device.id);
+      } catch (err) {
+        this.log.error('Transfer on start failed', { deviceId: device.id, err });
+      }
+    }
+  }
+
+  async _failover (lost) {
+    const device = this._preferredOnline();
+    if (!device) {
+      this._warn(`Device ${lost} went offline and no preferred device is online`);
+      return;
+    }
+    this._setTarget(device);
+    this.log.warn(`Device ${lost} went offline; failing over to ${device.name}`, { deviceId: device.id });
+    try {
+      await this.getSpotify().transferPlayback(device.id, this.isPlaying());
+      this._markActive(device.id);
+      this.emit('failover', { from: lost, to: device.name, deviceId: device.id });
+    } catch (err) {
+      this.log.error('Failover transfer failed', { deviceId: device.id, err });
+    }
+  }
+
+  /** Make a device (ID or name) the target and move playback to it. */
+  async transfer (idOrName, play = false) {
+    let device = this.find(idOrName);
+    if (!device) {
+      await this.refresh();
+      device = this.find(idOrName);
+    }
+    if (!device) {
+      const err = new Error(`Device not found: ${idOrName}`);
+      err.status = 404;
+      throw err;
+    }
+    this._selected = true;
+    this._setTarget(device);
+    await this.getSpotify().transferPlayback(device.id, play === true || play === 'true');
+    this.refresh().catch(() => {});
+  }
+
+  /**
+   * Replace the preferred devices (config reload). If the first one online is not the target,
+   * the bridge moves to it as at start, transferring playback when transferOnStart is set.
+   */
+  setPreferred (preferred) {
+    const next = preferred.filter(Boolean).map(String);
+    if (next.join('\n') === this.preferred.join('\n')) return;
+    this.preferred = next;
+    const device = this._preferredOnline();
+    if (device && device.id === this.targetId) {
+      this._emitIfChanged();
+      return;
+    }
+    this._selected = false;
+    this.refresh().catch(err => this.log.error('Device refresh failed', { err }));
+  }
+
+  /** Change the getDevices poll interval; a running poll timer is restarted with it. */
+  setIntervalMs (intervalMs) {
+    if (intervalMs === this.intervalMs) return;
+    this.intervalMs = intervalMs;
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = setInterval(() => this._poll(), this.intervalMs);
+    }
+  }
+
+  _poll () {
+    this.refresh().catch(err => {
+      if (err.status !== 429) this.log.error('Device refresh failed', { err });
+    });
+  }
+
+  start () {
+    this.stop();
+    this._poll();
+    this._timer = setInterval(() => this._poll(), this.intervalMs);
+  }
+
+  stop () {
+    clearInterval(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { DeviceManager, simplifyDevice };
@@ -0,0 +1,157 @@
+/**
+ * Extended state for Companion variables and feedbacks: the legacy { playbackInfo, state }
+ * payload plus an `extended` object with the fields buttons need and the upstream payload
+ * lacks. The legacy payload is not changed; clients opt in (state_change_ext, /state?extended=1).
+ *
+ *   remaining      seconds left in the track
+ *   progress       0–100
+ *   elapsedText    "1:05" (h:mm:ss from an hour)
+ *   remainingText  "-2:40"
+ *   durationText   "3:45"
+ *   repeatMode     off, context or track
+ *   shuffle        boolean
+ *   context        { type, uri, name } or null (name is null until looked up, or for e.g. Liked Songs)
+ *   nextTrack      { name, artist, uri, source } or null; source is 'bridge' (virtual queue) or 'spotify'
+ *   device         { id, name, type, volume, supportsVolume, isActive } or null
+ *
+ * Context names and Spotify's next track cost API calls, so they are only looked up while
+ * someone asks for the extended state, once per context and once per track. Emits 'change'
+ * when a lookup brings something new.
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger.js');
+const library = require('./library.js');
+
+// Context names seen recently; names rarely change and a service uses only a few contexts
+const MAX_CONTEXT_NAMES = 50;
+
+function formatTime (seconds) {
+  const total = Math.max(0, Math.floor(seconds));
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+/** The parts of Spotify's player object the legacy payload drops. */
+function describePlayer (player) {
+  if (!player) return { repeatMode: 'off', shuffle: false, context: null, device: null };
+  const device = player.device;
+  return {
+    repeatMode: player.repeat_state || 'off',
+    shuffle: !!player.shuffle_state,
+    context: player.context && player.context.uri ? { type: player.context.type || '', uri: player.context.uri } : null,
+    device: device
+      ? {
+          id: device.id || '',
+          name: device.name || '',
+          type: device.type || '',
+          volume: device.volume_percent != null ? device.volume_percent : null,
+          supportsVolume: device.supports_volume !== false,
+          isActive: !!device.is_active
+        }
+      : null
+  };
+}
+
+class ExtendedState extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.player hooks into the bridge:
+   *   getSpotify() -> SpotifyWebAPI | null
+   *   bridgeNext() -> the virtual queue's next item or null
+   * @param {Logger} [options.log] logger (logger.js), e.g. a child with the zone
+   */
+  constructor ({ player, log = logger }) {
+    super();
+    this.player = player;
+    this.log = log;
+    this.info = describePlayer(null);
+    this._contextNames = new Map();
+    this._spotifyNext = { trackId: null, item: null };
+    this._lookups = new Map();
+  }
+
+  /** Feed every polled player object in. */
+  update (player) {
+    this.info = describePlayer(player);
+  }
+
+  /** Spotify's queue changed (e.g. addToQueue): look up the next track again. */
+  invalidateNext () {
+    this._spotifyNext = { trackId: null, item: null };
+  }
+
+  /** Run a lookup, kept in _lookups until it settles. A failed one is logged and not retried. */
+  _lookup (key, fn) {
+    const lookup = Promise.resolve()
+      .then(fn)
+      .then(() => this.emit('change'))
+      .catch(err => {
+        if (err.status !== 429) this.log.error('Extended state lookup failed', { lookup: key, err });
+      })
+      .finally(() => this._lookups.delete(key));
+    this._lookups.set(key, lookup);
+    return lookup;
+  }
+
+  /** Start the lookups the current state needs; resolves when they are done. */
+  refresh (trackId) {
+    const spotify = this.player.getSpotify();
+    if (!spotify) return Promise.resolve();
+    const pending = [...this._lookups.values()];
+    const context = this.info.context;
+    if (context && !this._contextNames.has(context.uri) && typeof spotify.getContextName === 'function') {
+      if (this._contextNames.size >= MAX_CONTEXT_NAMES) this._contextNames.delete(this._contextNames.keys().next().value);
+      this._contextNames.set(context.uri, null);
+      pending.push(this._lookup(`context:${context.uri}`, async () => {
+        this._contextNames.set(context.uri, await spotify.getContextName(context.uri));
+      }));
+    }
+    if (trackId && this._spotifyNext.trackId !== trackId && typeof spotify.getQueue === 'function') {
+      this._spotifyNext = { trackId, item: null };
+      pending.push(this._lookup(`next:${trackId}`, async () => {
+        const { items } = await library.queue(spotify);
+        if (this._spotifyNext.trackId === trackId) this._spotifyNext = { trackId, item: items[0] || null };
+      }));
+    }
+    return Promise.all(pending);
+  }
+
+  _nextTrack (trackId) {
+    const queued = this.player.bridgeNext();
+    if (queued) return { name: queued.name || '', artist: queued.artist || '', uri: queued.uri, source: 'bridge' };
+    const next = this._spotifyNext.trackId === trackId ? this._spotifyNext.item : null;
+    return next ? { name: next.name, artist: next.artist || '', uri: next.uri, source: 'spotify' } : null;
+  }
+
+  /** The legacy payload plus `extended`; starts any lookups still missing. */
+  build (payload) {
+    const { playbackInfo, state } = payload;
+    const trackId = playbackInfo.trackId;
+    this.refresh(trackId);
+    const durationSeconds = (playbackInfo.duration || 0) / 1000;
+    const position = Math.min(state.position || 0, durationSeconds || Infinity);
+    const remaining = Math.max(0, durationSeconds - position);
+    const context = this.info.context;
+    return {
+      playbackInfo,
+      state,
+      extended: {
+        remaining,
+        progress: durationSeconds ? Math.round((position / durationSeconds) * 100) : 0,
+        elapsedText: formatTime(position),
+        remainingText: '-' + formatTime(Math.ceil(remaining)),
+        durationText: formatTime(durationSeconds),
+        repeatMode: this.info.repeatMode,
+        shuffle: this.info.shuffle,
+        context: context ? { ...context, name: this._contextNames.get(context.uri) || null } : null,
+        nextTrack: trackId ? this._nextTrack(trackId) : null,
+        device: this.info.device
+      }
+    };
+  }
+}
+
+module.exports = { ExtendedState, formatTime, describePlayer };
@@ -0,0 +1,204 @@
+/**
+ * Playback history and command log, for licensing reports (e.g. CCLI) and "who pressed what".
+ *
+ * Records are appended as JSON lines to one file per UTC day (history-YYYY-MM-DD.jsonl), so
+ * the log rotates daily and files older than retentionDays are deleted. Two record types:
+ *
+ *   track    { type, at, zone, uri, title, artist, album, device, startedAt, endedAt,
+ *              duration (ms), lastPosition (seconds), endReason }
+ *            endReason: completed (played to the end), skipped (another track started),
+ *            stopped (playback stopped) or shutdown (bridge stopped)
+ *   command  { type, at, zone, command, args, key, role, via ('rest'|'socket'), ip, socketId }
+ *
+ * A track record is written when the track ends, but its `at` (and file) is the start time.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+// Within this much of the track's duration a transition counts as "completed"
+const END_TOLERANCE_MS = 5000;
+
+const TRACK_COLUMNS = ['startedAt', 'endedAt', 'zone', 'title', 'artist', 'album', 'uri', 'device', 'duration', 'lastPosition', 'endReason'];
+const COMMAND_COLUMNS = ['at', 'zone', 'command', 'args', 'key', 'role', 'via', 'ip', 'socketId'];
+
+function dayOf (time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/** Parse a from/to query value; a bare date as `to` means the end of that day. */
+function parseTime (value, endOfDay = false) {
+  if (value == null || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + DAY_MS - 1 : time;
+}
+
+function csvCell (value) {
+  if (value == null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** CSV with a header row; columns follow the record type ('track' or 'command'). */
+function toCsv (records, type = 'track') {
+  const columns = type === 'command' ? COMMAND_COLUMNS : TRACK_COLUMNS;
+  const lines = [columns.join(',')];
+  for (const record of records) lines.push(columns.map(c => csvCell(record[c])).join(','));
+  return lines.join('\r\n') + '\r\n';
+}
+
+class HistoryLog {
+  /**
+   * @param {object} options
+   * @param {string} options.dir directory for the daily JSONL files
+   * @param {number} [options.retentionDays] delete files older than this many days (0 keeps all)
+   */
+  constructor ({ dir, retentionDays = 400 }) {
+    this.dir = path.resolve(dir);
+    this.retentionDays = retentionDays;
+    this._writing = Promise.resolve();
+    this._lastPruneDay = null;
+  }
+
+  _file (day) {
+    return path.join(this.dir, `history-${day}.jsonl`);
+  }
+
+  /** Append one record; writes are serialized and errors are logged, not thrown. */
+  append (record) {
+    const entry = { at: new Date().toISOString(), ...record };
+    this._writing = this._writing.then(async () => {
+      const day = dayOf(entry.at);
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      await fs.promises.appendFile(this._file(day), JSON.stringify(entry) + '\n');
+      if (this._lastPruneDay !== day) {
+        this._lastPruneDay = day;
+        await this._prune();
+      }
+    }).catch(err => logger.error('History write failed', { err }));
+    return entry;
+  }
+
+  recordCommand (details) {
+    return this.append({ type: 'command', ...details });
+  }
+
+  recordTrack (track) {
+    return this.append({ type: 'track', at: track.startedAt, ...track });
+  }
+
+  /** Resolves when all pending writes are done. */
+  flush () {
+    return this._writing;
+  }
+
+  async _files () {
+    try {
+      return (await fs.promises.readdir(this.dir)).filter(f => FILE_PATTERN.test(f)).sort();
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  async _prune () {
+    if (!this.retentionDays) return;
+    const oldest = dayOf(Date.now() - this.retentionDays * DAY_MS);
+    for (const file of await this._files()) {
+      if (file.match(FILE_PATTERN)[1] < oldest) await fs.promises.unlink(path.join(this.dir, file));
+    }
+  }
+
+  /**
+   * Records between from and to (anything Date.parse accepts; a bare date as `to` includes
+   * that whole day), oldest first.
+   * @param {object} [filter] { from, to, type, zone, limit }
+   */
+  async query ({ from, to, type, zone, limit } = {}) {
+    const fromTime = parseTime(from);
+    const toTime = parseTime(to, true);
+    await this.flush();
+    const records = [];
+    for (const file of await this._files()) {
+      const day = file.match(FILE_PATTERN)[1];
+      if (fromTime != null && day < dayOf(fromTime)) continue;
+      if (toTime != null && day > dayOf(toTime)) continue;
+      const text = await fs.promises.readFile(path.join(this.dir, file), 'utf8');
+      for (const line of text.split('\n')) {
+        if (!line) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          continue; // torn line from a crash mid-write
+        }
+        const time = Date.parse(record.at);
+        if (fromTime != null && time < fromTime) continue;
+        if (toTime != null && time > toTime) continue;
+        if (type && record.type !== type) continue;
+        if (zone && record.zone !== zone) continue;
+        records.push(record);
+      }
+    }
+    records.sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+    return limit ? records.slice(-limit) : records;
+  }
+}
+
+/**
+ * Turns a zone's state_change payloads into track records: a track starts when it is first
+ * seen playing and ends when another track (or nothing) is current.
+ */
+class TrackRecorder {
+  constructor ({ zone, history }) {
+    this.zone = zone;
+    this.history = history;
+    this.current = null;
+  }
+
+  update (payload) {
+    if (!payload || !payload.state) return;
+    const { playbackInfo, state } = payload;
+    if (this.current) {
+      if (state.track_id === this.current.uri && state.state !== 'stopped') {
+        this.current.lastPosition = state.position;
+        if (playbackInfo.deviceName) this.current.device = playbackInfo.deviceName;
+        return;
+      }
+      this.finish(state.track_id && state.state !== 'stopped' ? null : 'stopped');
+    }
+    if (state.track_id && state.state === 'playing') {
+      this.current = {
+        zone: this.zone,
+        uri: state.track_id,
+        title: playbackInfo.name,
+        artist: playbackInfo.artist,
+        album: playbackInfo.album,
+        device: playbackInfo.deviceName,
+        // Joined mid-track (e.g. bridge start): count from where the track began
+        startedAt: new Date(Date.now() - state.position * 1000).toISOString(),
+        duration: playbackInfo.duration,
+        lastPosition: state.position
+      };
+    }
+  }
+
+  /** End the current track; one that got within a few seconds of its end counts as completed. */
+  finish (reason) {
+    const track = this.current;
+    if (!track) return;
+    this.current = null;
+    const reachedEnd = track.duration > 0 && track.lastPosition * 1000 >= track.duration - END_TOLERANCE_MS;
+    this.history.recordTrack({
+      ...track,
+      endedAt: new Date().toISOString(),
+      endReason: reachedEnd && reason !== 'shutdown' ? 'completed' : (reason || 'skipped')
+    });
+  }
+}
+
+module.exports = { HistoryLog, TrackRecorder, toCsv, parseTime };
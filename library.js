@@ -0,0 +1,157 @@
+/**
+ * Search and library browsing for the REST routes and Socket.io events of a zone.
+ * Spotify's responses are reduced to the fields a picker needs, and every list comes as a
+ * page: { items, total, limit, offset, nextOffset } (nextOffset is null on the last page).
+ *
+ * Item shapes (all with uri, id, name):
+ *   track     artist, album, duration (ms), albumArtUrl, explicit
+ *   episode   artist (show name), duration, albumArtUrl
+ *   album     artist, releaseDate, totalTracks, albumArtUrl
+ *   playlist  owner, trackCount, description, imageUrl
+ *   artist    genres, imageUrl
+ */
+
+const SEARCH_TYPES = ['track', 'album', 'playlist', 'artist'];
+// Spotify's page size limits
+const MAX_SEARCH_LIMIT = 50;
+const MAX_PLAYLISTS_LIMIT = 50;
+const MAX_PLAYLIST_TRACKS_LIMIT = 100;
+
+function badRequest (message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+function imageUrl (images) {
+  return images && images.length ? images[0].url : '';
+}
+
+function simplifyItem (item) {
+  if (!item) return null;
+  switch (item.type) {
+    case 'track':
+      return {
+        type: 'track',
+        uri: item.uri,
+        id: item.id,
+        name: item.name,
+        artist: (item.artists || []).map(a => a.name).join(', '),
+        album: item.album ? item.album.name : '',
+        duration: item.duration_ms || 0,
+        albumArtUrl: imageUrl(item.album && item.album.images),
+        explicit: !!item.explicit
+      };
+    case 'episode':
+      return {
+        type: 'episode',
+        uri: item.uri,
+        id: item.id,
+        name: item.name,
+        artist: item.show ? item.show.name : '',
+        duration: item.duration_ms || 0,
+        albumArtUrl: imageUrl(item.images)
+      };
+    case 'album':
+      return {
+        type: 'album',
+        uri: item.uri,
+        id: item.id,
+        name: item.name,
+        artist: (item.artists || []).map(a => a.name).join(', '),
+        releaseDate: item.release_date || '',
+        totalTracks: item.total_tracks || 0,
+        albumArtUrl: imageUrl(item.images)
+      };
+    case 'playlist':
+      return {
+        type: 'playlist',
+        uri: item.uri,
+        id: item.id,
+        name: item.name,
+        owner: item.owner ? (item.owner.display_name || item.owner.id) : '',
+        trackCount: item.tracks ? item.tracks.total : 0,
+        description: item.description || '',
+        imageUrl: imageUrl(item.images)
+      };
+    case 'artist':
+      return {
+        type: 'artist',
+        uri: item.uri,
+        id: item.id,
+        name: item.name,
+        genres: item.genres || [],
+        imageUrl: imageUrl(item.images)
+      };
+    default:
+      return { type: item.type, uri: item.uri, id: item.id, name: item.name };
+  }
+}
+
+/** Spotify paging object -> page; map turns one raw item into an entry (null entries are dropped). */
+function toPage (paging, map = simplifyItem) {
+  if (!paging) return { items: [], total: 0, limit: 0, offset: 0, nextOffset: null };
+  const items = (paging.items || []).map(map).filter(Boolean);
+  return {
+    items,
+    total: paging.total || 0,
+    limit: paging.limit,
+    offset: paging.offset,
+    nextOffset: paging.next ? paging.offset + paging.limit : null
+  };
+}
+
+function pageOptions ({ limit, offset } = {}, maxLimit) {
+  const l = limit == null || limit === '' ? 20 : Number(limit);
+  const o = offset == null || offset === '' ? 0 : Number(offset);
+  if (!Number.isInteger(l) || l < 1 || l > maxLimit) throw badRequest(`limit must be 1–${maxLimit}`);
+  if (!Number.isInteger(o) || o < 0) throw badRequest('offset must be 0 or more');
+  return { limit: l, offset: o };
+}
+
+/**
+ * @param {SpotifyWebAPI} spotify
+ * @param {object} params { q, type (comma-separated or array), limit, offset, market }
+ * @returns {{ query, tracks?, albums?, playlists?, artists? }} one page per requested type
+ */
+async function search (spotify, params = {}) {
+  const query = params.q != null ? String(params.q).trim() : '';
+  if (!query) throw badRequest('q is required');
+  const types = params.type
+    ? (Array.isArray(params.type) ? params.type : String(params.type).split(',')).map(t => t.trim()).filter(Boolean)
+    : SEARCH_TYPES;
+  const unknown = types.filter(t => !SEARCH_TYPES.includes(t));
+  if (unknown.length) throw badRequest(`Unknown search type: ${unknown.join(', ')}`);
+  const data = await spotify.search(query, { types, market: params.market, ...pageOptions(params, MAX_SEARCH_LIMIT) });
+  const result = { query };
+  for (const type of types) result[`${type}s`] = toPage(data && data[`${type}s`]);
+  return result;
+}
+
+async function playlists (spotify, params = {}) {
+  return toPage(await spotify.getMyPlaylists(pageOptions(params, MAX_PLAYLISTS_LIMIT)));
+}
+
+/** Local and unavailable tracks (no track object) are left out of items but count in total. */
+async function playlistTracks (spotify, playlistIdOrUri, params = {}) {
+  if (!playlistIdOrUri) throw badRequest('Playlist ID or URI is required');
+  const data = await spotify.getPlaylistTracks(playlistIdOrUri, { market: params.market, ...pageOptions(params, MAX_PLAYLIST_TRACKS_LIMIT) });
+  return {
+    playlist: playlistIdOrUri,
+    ...toPage(data, (entry) => {
+      const item = entry && simplifyItem(entry.track);
+      return item && { ...item, addedAt: entry.added_at || null };
+    })
+  };
+}
+
+/** { current, items }: the playing item and what Spotify will play next. */
+async function queue (spotify) {
+  const data = await spotify.getQueue();
+  return {
+    current: simplifyItem(data && data.currently_playing),
+    items: ((data && data.queue) || []).map(simplifyItem).filter(Boolean)
+  };
+}
+
+module.exports = { search, playlists, playlistTracks, queue, simplifyItem, toPage };
@@ -0,0 +1,135 @@
+/**
+ * Live state for clients that don't speak Socket.io (OBS browser sources, scripts, curl):
+ * a Server-Sent Events stream and a plain JSON WebSocket per zone. Both carry the same
+ * messages as the Socket.io events of the same name, from the zone's cached state, so a
+ * subscriber never costs a Spotify API call:
+ *
+ *   state_change   { playbackInfo, state }
+ *   ramping_state  boolean
+ *   control_status boolean, whether the client's key may send commands
+ *
+ * SSE: one "event: <name>" / "data: <json>" pair per message. WebSocket: one JSON text
+ * frame { event, data } per message; a client may send { "event": "state" } or
+ * { "event": "control_status" } to get that message again. The feed is read-only.
+ *
+ * Emits 'client' with the number of subscribers when one connects.
+ */
+
+const { EventEmitter } = require('events');
+
+// Comment line on idle SSE streams, so proxies and browsers keep the connection open
+const SSE_HEARTBEAT_MS = 15000;
+// WebSocket clients that don't answer a ping within this time are dropped
+const WS_PING_MS = 30000;
+
+class LiveFeed extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {function(principal): Array<[event, data]>} options.snapshot messages a new
+   *   subscriber gets first (the current state, ramping and control status)
+   */
+  constructor ({ snapshot }) {
+    super();
+    this.snapshot = snapshot;
+    this.clients = new Set();
+  }
+
+  get size () {
+    return this.clients.size;
+  }
+
+  /** Subscribers by transport: { sse, websocket }. */
+  counts () {
+    const counts = { sse: 0, websocket: 0 };
+    for (const client of this.clients) counts[client.transport]++;
+    return counts;
+  }
+
+  _add (client) {
+    this.clients.add(client);
+    for (const [event, data] of this.snapshot(client.principal)) client.send(event, data);
+    this.emit('client', this.clients.size);
+  }
+
+  /** Serve an SSE stream on an HTTP response until the client disconnects. */
+  addSse (res, principal) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      // nginx: don't buffer the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 3000\n\n');
+    const client = {
+      principal,
+      transport: 'sse',
+      send: (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+      close: () => res.end()
+    };
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+    this._add(client);
+  }
+
+  /** Serve a connected ws WebSocket until it closes. */
+  addWebSocket (ws, principal) {
+    let alive = true;
+    const client = {
+      principal,
+      transport: 'websocket',
+      send: (event, data) => {
+        if (ws.readyState === ws.OPEN) ws.send(JSON.stringify({ event, data }));
+      },
+      close: () => ws.close(1001, 'Server shutting down')
+    };
+    const ping = setInterval(() => {
+      if (!alive) return ws.terminate();
+      alive = false;
+      ws.ping();
+    }, WS_PING_MS);
+    ws.on('pong', () => { alive = true; });
+    ws.on('message', (raw) => {
+      let message;
+      try {
+        message = JSON.parse(raw.toString());
+      } catch (e) {
+        return;
+      }
+      const wanted = message && message.event === 'state' ? 'state_change' : message && message.event;
+      for (const [event, data] of this.snapshot(principal)) {
+        if (event === wanted) client.send(event, data);
+      }
+    });
+    ws.on('close', () => {
+      clearInterval(ping);
+      this.clients.delete(client);
+    });
+    ws.on('error', () => {});
+    this._add(client);
+  }
+
+  broadcast (event, data) {
+    for (const client of this.clients) client.send(event, data);
+  }
+
+  /** Send every subscriber its own snapshot entry for event again, e.g. control_status after a config change. */
+  resend (event) {
+    for (const client of this.clients) {
+      for (const [name, data] of this.snapshot(client.principal)) {
+        if (name === event) client.send(name, data);
+      }
+    }
+  }
+
+  /** Close every stream and socket. */
+  stop () {
+    for (const client of this.clients) client.close();
+    this.clients.clear();
+  }
+}
+
+module.exports = { LiveFeed };
@@ -0,0 +1,164 @@
+/**
+ * Leveled logging for the bridge: one line per entry on stdout (debug, info) or stderr (warn,
+ * error), as text or JSON (LOG_FORMAT / logging.format). Each entry carries context fields
+ * (zone, command, socketId, route, Spotify endpoint, status, ...) from child loggers and the
+ * call site.
+ *
+ * Secrets never reach the output: context fields named like tokens, secrets, passwords or
+ * keys are replaced, and so are Bearer tokens and token/secret/code/key parameters inside
+ * messages.
+ *
+ * The last entries are kept in memory and every entry is emitted as 'entry' on logger.sink,
+ * which GET /logs streams to the web UI.
+ *
+ *   const { logger } = require('./logger.js');
+ *   const log = logger.child({ zone: 'lobby' });
+ *   log.error('play failed', { command: 'play', socketId, err });
+ */
+
+const { EventEmitter } = require('events');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const FORMATS = ['text', 'json'];
+// Entries kept for /logs clients that connect later
+const RECENT_SIZE = 500;
+const REDACTED = '[redacted]';
+const SECRET_FIELD = /token|secret|password|authorization|cookie|^key$|apikey|api_key/i;
+const SECRET_PATTERNS = [
+  [/\bBearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\bBasic\s+[\w+/=]{8,}/gi, `Basic ${REDACTED}`],
+  [/\b((?:access|refresh)_token|client_secret|code|key|token)=[^&\s"']+/gi, `$1=${REDACTED}`],
+  [/"((?:access|refresh)_token|client_secret|accessToken|refreshToken|clientSecret)"\s*:\s*"[^"]*"/g, `"$1":"${REDACTED}"`]
+];
+
+/** Hide secrets inside free text (error messages, URLs). */
+function redactText (text) {
+  return SECRET_PATTERNS.reduce((out, [pattern, replacement]) => out.replace(pattern, replacement), String(text));
+}
+
+/** Context value for output: errors become { message, status, endpoint }, secrets are hidden. */
+function redactValue (key, value) {
+  if (value == null) return value;
+  if (SECRET_FIELD.test(key)) return REDACTED;
+  if (value instanceof Error) {
+    const err = { message: redactText(value.message) };
+    if (value.status != null) err.status = value.status;
+    if (value.endpoint) err.endpoint = value.endpoint;
+    return err;
+  }
+  if (typeof value === 'string') return redactText(value);
+  if (Array.isArray(value)) return value.map(item => redactValue('', item));
+  if (typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactValue(k, v)]));
+  }
+  return value;
+}
+
+function textValue (value) {
+  if (typeof value === 'string' && /^[^\s"=]+$/.test(value)) return value;
+  return JSON.stringify(value);
+}
+
+/** One output line: JSON, or "<time> <LEVEL> <message> key=value ...". */
+function formatEntry (entry, format) {
+  if (format === 'json') return JSON.stringify(entry);
+  const { time, level, msg, ...context } = entry;
+  const fields = Object.entries(context)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => `${key}=${textValue(value)}`);
+  return [time, level.toUpperCase().padEnd(5), msg, ...fields].join(' ');
+}
+
+/** Where entries go: the console, the recent list and 'entry' listeners. Shared by a logger and its children. */
+class LogSink extends EventEmitter {
+  constructor ({ level = 'info', format = 'text' } = {}) {
+    super();
+    this.level = level;
+    this.format = format;
+    this.recent = [];
+    // Socket.io, SSE and WebSocket clients come and go; don't warn about many /logs listeners
+    this.setMaxListeners(0);
+  }
+
+  write (entry) {
+    const line = formatEntry(entry, this.format);
+    if (LEVELS[entry.level] >= LEVELS.warn) process.stderr.write(line + '\n');
+    else process.stdout.write(line + '\n');
+    this.recent.push(entry);
+    if (this.recent.length > RECENT_SIZE) this.recent.shift();
+    this.emit('entry', entry);
+  }
+}
+
+class Logger {
+  constructor (sink = new LogSink(), context = {}) {
+    this.sink = sink;
+    this.context = context;
+  }
+
+  /** Logger that adds context to every entry, e.g. { zone }. */
+  child (context) {
+    return new Logger(this.sink, { ...this.context, ...context });
+  }
+
+  /** Change level and/or format (LOG_LEVEL, LOG_FORMAT) for this logger and all its children. */
+  configure ({ level, format } = {}) {
+    if (level !== undefined) {
+      if (!LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+      this.sink.level = level;
+    }
+    if (format !== undefined) {
+      if (!FORMATS.includes(format)) throw new Error(`Unknown log format: ${format}`);
+      this.sink.format = format;
+    }
+  }
+
+  enabled (level) {
+    return LEVELS[level] >= LEVELS[this.sink.level];
+  }
+
+  log (level, message, context = {}) {
+    if (!this.enabled(level)) return;
+    const fields = { ...this.context, ...context };
+    const entry = { time: new Date().toISOString(), level, msg: redactText(message) };
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) entry[key] = redactValue(key, value);
+    }
+    this.sink.write(entry);
+  }
+
+  debug (message, context) {
+    this.log('debug', message, context);
+  }
+
+  info (message, context) {
+    this.log('info', message, context);
+  }
+
+  warn (message, context) {
+    this.log('warn', message, context);
+  }
+
+  error (message, context) {
+    this.log('error', message, context);
+  }
+
+  /**
+   * Recent entries, oldest first.
+   * @param {object} [options] { level: minimum level, limit }
+   */
+  getRecent ({ level = 'debug', limit = RECENT_SIZE } = {}) {
+    const min = LEVELS[level] || LEVELS.debug;
+    // slice(-0) would be everything
+    if (!(limit > 0)) return [];
+    return this.sink.recent.filter(entry => LEVELS[entry.level] >= min).slice(-limit);
+  }
+}
+
+// The process logger; modules take children of it
+const logger = new Logger(new LogSink({
+  level: LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  format: FORMATS.includes(process.env.LOG_FORMAT) ? process.env.LOG_FORMAT : 'text'
+}));
+
+module.exports = { logger, Logger, LogSink, LEVELS, FORMATS, redactText };
@@ -0,0 +1,158 @@
+/**
+ * Bridge-side A–B loop for rehearsals: while the track plays, reaching B seeks back to A.
+ * The loop belongs to one track and is cleared when another track starts. A and B are in
+ * seconds; a loop with only A set (B null) is not active yet. Emits 'change' with
+ * getState(): { active, trackId, start, end, count } (count: jumps back to A so far).
+ */
+
+const { EventEmitter } = require('events');
+
+// Shortest loop; also keeps B clear of A after a seek lands slightly late
+const MIN_LOOP_SECONDS = 1;
+// Polls this soon after a jump may still report the position from before the seek
+const SEEK_SETTLE_MS = 1500;
+
+function requestError (message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function toSeconds (value, field) {
+  const n = Number(value);
+  if (value == null || value === '' || !Number.isFinite(n) || n < 0) throw requestError(`${field} must be 0 or more seconds`, 400);
+  return n;
+}
+
+class LoopRegion extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.player hooks into the bridge:
+   *   seek(positionMs) -> Promise, also moves the local playback clock
+   *   positionMs() -> extrapolated position of the current track
+   */
+  constructor ({ player }) {
+    super();
+    this.player = player;
+    this.trackId = null;
+    this.start = null;
+    this.end = null;
+    this.count = 0;
+    this._timer = null;
+    this._jumpedAt = 0;
+    this._playing = false;
+  }
+
+  get active () {
+    return !!this.trackId && this.end != null;
+  }
+
+  getState () {
+    return { active: this.active, trackId: this.trackId, start: this.start, end: this.end, count: this.count };
+  }
+
+  _emitChange () {
+    this.emit('change', this.getState());
+  }
+
+  _requireTrack (trackId) {
+    if (!trackId) throw requestError('Nothing is playing', 409);
+    if (trackId !== this.trackId) {
+      this.trackId = trackId;
+      this.start = null;
+      this.end = null;
+      this.count = 0;
+    }
+  }
+
+  /** Loop trackId between start and end (seconds). */
+  set (trackId, start, end) {
+    const a = toSeconds(start, 'start');
+    const b = toSeconds(end, 'end');
+    if (b < a + MIN_LOOP_SECONDS) throw requestError(`end must be at least ${MIN_LOOP_SECONDS} s after start`, 400);
+    this._requireTrack(trackId);
+    this.start = a;
+    this.end = b;
+    this.count = 0;
+    this._emitChange();
+    this._arm();
+  }
+
+  /** Set A; a B that is no longer after it is dropped. */
+  setA (trackId, seconds) {
+    const a = toSeconds(seconds, 'A');
+    this._requireTrack(trackId);
+    this.start = a;
+    if (this.end != null && this.end < a + MIN_LOOP_SECONDS) this.end = null;
+    this._emitChange();
+    this._arm();
+  }
+
+  /** Set B, which starts the loop (A defaults to the start of the track). */
+  setB (trackId, seconds) {
+    const b = toSeconds(seconds, 'B');
+    this._requireTrack(trackId);
+    const a = this.start != null ? this.start : 0;
+    if (b < a + MIN_LOOP_SECONDS) throw requestError(`B must be at least ${MIN_LOOP_SECONDS} s after A`, 400);
+    this.start = a;
+    this.end = b;
+    this.count = 0;
+    this._emitChange();
+    this._arm();
+  }
+
+  clear () {
+    this._disarm();
+    const had = !!this.trackId;
+    this.trackId = null;
+    this.start = null;
+    this.end = null;
+    this.count = 0;
+    if (had) this._emitChange();
+  }
+
+  _disarm () {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+
+  _arm () {
+    this._disarm();
+    if (!this.active || !this._playing) return;
+    const delay = this.end * 1000 - this.player.positionMs();
+    if (delay > 0) {
+      this._timer = setTimeout(() => this._jump(), delay);
+    } else if (Date.now() - this._jumpedAt >= SEEK_SETTLE_MS) {
+      this._jump();
+    }
+  }
+
+  _jump () {
+    this._disarm();
+    this._jumpedAt = Date.now();
+    this.count++;
+    this._emitChange();
+    this.player.seek(this.start * 1000)
+      .then(() => this._arm())
+      .catch(err => this.emit('error', err));
+  }
+
+  /** Feed every state_change payload in: re-arms the jump to A, or clears the loop on a new track. */
+  handleState (payload) {
+    if (!payload || !payload.state) return;
+    const { state } = payload;
+    this._playing = state.state === 'playing';
+    if (!this.trackId) return;
+    if (state.track_id && state.track_id !== this.trackId) {
+      this.clear();
+      return;
+    }
+    this._arm();
+  }
+
+  stop () {
+    this._disarm();
+  }
+}
+
+module.exports = { LoopRegion };
@@ -0,0 +1,189 @@
+/**
+ * Prometheus metrics in the text exposition format (GET /metrics), without a client library:
+ * counters, gauges and histograms with labels. Gauges may be collected at scrape time from
+ * a function instead of being set, e.g. the number of connected clients.
+ *
+ * createBridgeMetrics() defines the bridge's own metrics; zones record into them (zone.js).
+ */
+
+// Seconds; Spotify calls are usually 50-500 ms, a poll includes queueing behind control commands
+const DURATION_BUCKETS = [0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels (labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return '';
+  return '{' + entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',') + '}';
+}
+
+function formatValue (value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  constructor (type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /** Series for a label set; unknown label names are an error, missing ones are empty. */
+  _series (labels, create) {
+    const values = {};
+    for (const key of Object.keys(labels)) {
+      if (!this.labelNames.includes(key)) throw new Error(`${this.name}: unknown label ${key}`);
+    }
+    for (const key of this.labelNames) values[key] = labels[key] != null ? labels[key] : '';
+    const key = JSON.stringify(values);
+    if (!this.series.has(key) && create) this.series.set(key, create(values));
+    return this.series.get(key);
+  }
+
+  render () {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this._lines()].join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor (name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc (labels = {}, value = 1) {
+    this._series(labels, (values) => ({ labels: values, value: 0 })).value += value;
+  }
+
+  _lines () {
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {function(): Array<[object, number]>} [collect] label sets and values, read at each
+   *   scrape; replaces values set with set()
+   */
+  constructor (name, help, labelNames, collect = null) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  set (labels, value) {
+    this._series(labels, (values) => ({ labels: values, value: 0 })).value = value;
+  }
+
+  _lines () {
+    if (this.collect) {
+      this.series.clear();
+      for (const [labels, value] of this.collect()) this.set(labels, value);
+    }
+    return [...this.series.values()].map(s => `${this.name}${formatLabels(s.labels)} ${formatValue(s.value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor (name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe (labels, value) {
+    const series = this._series(labels, (values) => ({ labels: values, counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /** Start a timer; calling the returned function observes the elapsed seconds. */
+  startTimer (labels) {
+    const start = process.hrtime.bigint();
+    return (moreLabels = {}) => this.observe({ ...labels, ...moreLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+  }
+
+  _lines () {
+    const lines = [];
+    for (const s of this.series.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: formatValue(bound) })} ${s.counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`);
+      lines.push(`${this.name}_sum${formatLabels(s.labels)} ${s.sum}`);
+      lines.push(`${this.name}_count${formatLabels(s.labels)} ${s.count}`);
+    }
+    return lines;
+  }
+}
+
+class Registry {
+  constructor () {
+    this.metrics = new Map();
+  }
+
+  _add (metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric already registered: ${metric.name}`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter (name, help, labelNames) {
+    return this._add(new Counter(name, help, labelNames));
+  }
+
+  gauge (name, help, labelNames, collect) {
+    return this._add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram (name, help, labelNames, buckets) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  /** Text exposition format (Content-Type text/plain; version=0.0.4). */
+  render () {
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n') + '\n';
+  }
+}
+
+/**
+ * Spotify API path without IDs and query, so each endpoint is one series:
+ * /playlists/37i9dQ.../tracks?limit=50 -> /playlists/{id}/tracks
+ */
+function endpointOf (url) {
+  const pathname = String(url).replace(/^https?:\/\/[^/]+(\/v1)?/, '').split('?')[0];
+  return pathname.replace(/^\/(playlists|tracks|albums|artists|shows|episodes)\/[^/]+/, '/$1/{id}') || '/';
+}
+
+/**
+ * The bridge's metrics in a new registry.
+ * @param {object} [options]
+ * @param {function(): object[]} [options.zoneHealth] health of every zone (zone.getHealth()), read at each scrape
+ */
+function createBridgeMetrics ({ zoneHealth = () => [] } = {}) {
+  const registry = new Registry();
+  const perZone = (value) => () => zoneHealth().map(health => [{ zone: health.zone }, value(health) ? 1 : 0]);
+  registry.gauge('spotify_bridge_connected_clients', 'Connected clients by transport (socketio, sse, websocket)', ['zone', 'transport'],
+    () => zoneHealth().flatMap(health => Object.entries(health.clients).map(([transport, count]) => [{ zone: health.zone, transport }, count])));
+  registry.gauge('spotify_bridge_auth_ok', '1 while the zone has a working Spotify token', ['zone'], perZone(health => health.checks.auth.ok));
+  registry.gauge('spotify_bridge_active_device', '1 while Spotify reports an active device for the zone', ['zone'], perZone(health => health.checks.device.active));
+  registry.gauge('spotify_bridge_ready', '1 while the zone passes the /ready checks', ['zone'], perZone(health => health.ready));
+  return {
+    registry,
+    spotifyRequests: registry.counter('spotify_bridge_spotify_requests_total', 'Spotify API requests by endpoint and HTTP status (network for connection errors)', ['zone', 'method', 'endpoint', 'status']),
+    spotifyRequestSeconds: registry.histogram('spotify_bridge_spotify_request_duration_seconds', 'Spotify API request duration', ['zone', 'endpoint']),
+    rateLimitHits: registry.counter('spotify_bridge_rate_limit_hits_total', 'Spotify 429 responses', ['zone']),
+    pollSeconds: registry.histogram('spotify_bridge_poll_duration_seconds', 'Playback state poll duration, including time queued behind control commands', ['zone', 'result']),
+    lastPoll: registry.gauge('spotify_bridge_last_successful_poll_timestamp_seconds', 'Unix time of the last successful playback state poll', ['zone']),
+    commands: registry.counter('spotify_bridge_commands_total', 'Control commands by source (socket, rest, osc, mqtt, schedule)', ['zone', 'command', 'source']),
+    render: () => registry.render()
+  };
+}
+
+module.exports = { Registry, Counter, Gauge, Histogram, createBridgeMetrics, endpointOf };
@@ -0,0 +1,173 @@
+/**
+ * MQTT for home automation and building control. Each zone publishes its state as retained
+ * messages and takes commands, under spotify/ for the default zone and spotify/zone/<name>/
+ * for named ones (the prefix is configurable):
+ *
+ *   <base>/state        the state_change payload, JSON { playbackInfo, state }
+ *   <base>/track        JSON { name, artist, album, uri, duration, albumArtUrl }
+ *   <base>/volume       0–100
+ *   <base>/shuffle      true or false
+ *   <base>/repeat       off, context or track
+ *   <base>/cmd/<command>  bridge command (same names as the Socket.io events); the payload
+ *                       is the arguments: empty, a JSON array, one JSON value or plain text
+ *
+ * spotify/availability is online while the bridge is connected (offline is the last will).
+ * With discovery on, each zone also announces itself to Home Assistant as a device with
+ * playback buttons, volume, shuffle, repeat and track and player state sensors.
+ */
+
+const { EventEmitter } = require('events');
+
+const DEFAULT_PREFIX = 'spotify';
+const ALIASES = { volume: 'setVolume', shuffle: 'setShuffle', repeat: 'setRepeat' };
+const BUTTONS = { play: 'Play', pause: 'Pause', playToggle: 'Play/pause', next: 'Next', previous: 'Previous' };
+
+/** Command arguments from a message payload. */
+function parseArgs (payload) {
+  const text = payload.toString('utf8').trim();
+  if (!text) return [];
+  let value;
+  try {
+    value = JSON.parse(text);
+  } catch (e) {
+    return [text];
+  }
+  return Array.isArray(value) ? value : [value];
+}
+
+class MqttBridge extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.client connected or connecting MQTT.js-compatible client:
+   *   publish(topic, message, { retain, qos }), subscribe(topics), end(), events connect and message
+   * @param {string} [options.prefix] topic prefix (default spotify)
+   * @param {string|null} [options.discoveryPrefix] Home Assistant discovery prefix, or null for no discovery
+   * @param {function(zone, command, args): Promise} options.runCommand runs a command in a zone
+   * @param {function(): Array<{name, payload}>} options.getStates last state_change of every zone
+   */
+  constructor ({ client, prefix = DEFAULT_PREFIX, discoveryPrefix = 'homeassistant', runCommand, getStates }) {
+    super();
+    this.client = client;
+    this.prefix = prefix.replace(/\/+$/, '');
+    this.discoveryPrefix = discoveryPrefix;
+    this.runCommand = runCommand;
+    this.getStates = getStates;
+    this._published = new Map();
+    this._onConnect = () => this._connected();
+    this._onMessage = (topic, payload) => this._message(topic, payload);
+    client.on('connect', this._onConnect);
+    client.on('message', this._onMessage);
+    if (client.connected) this._connected();
+  }
+
+  /** Topic of the availability message (and last will) of a bridge with this prefix. */
+  static availabilityTopic (prefix = DEFAULT_PREFIX) {
+    return `${prefix.replace(/\/+$/, '')}/availability`;
+  }
+
+  baseTopic (zone) {
+    return zone === 'default' ? this.prefix : `${this.prefix}/zone/${zone}`;
+  }
+
+  _publish (topic, message, retain = true) {
+    this.client.publish(topic, message, { retain, qos: 0 }, (err) => {
+      if (err) this.emit('error', new Error(`MQTT publish ${topic}: ${err.message}`));
+    });
+  }
+
+  /** (Re)connected: subscribe, announce and publish the current state, as the broker may have lost it. */
+  _connected () {
+    const topics = [`${this.prefix}/cmd/#`, `${this.prefix}/zone/+/cmd/#`];
+    if (this.discoveryPrefix) topics.push(`${this.discoveryPrefix}/status`);
+    this.client.subscribe(topics, (err) => {
+      if (err) this.emit('error', new Error(`MQTT subscribe: ${err.message}`));
+    });
+    this._publish(MqttBridge.availabilityTopic(this.prefix), 'online');
+    this._published.clear();
+    for (const { name, payload } of this.getStates()) {
+      this._discover(name);
+      if (payload) this.publish(name, payload);
+    }
+  }
+
+  _message (topic, payload) {
+    // Home Assistant restarted: it needs the discovery messages again
+    if (this.discoveryPrefix && topic === `${this.discoveryPrefix}/status`) {
+      if (payload.toString() === 'online') for (const { name } of this.getStates()) this._discover(name);
+      return;
+    }
+    if (!topic.startsWith(this.prefix + '/')) return;
+    const parts = topic.slice(this.prefix.length + 1).split('/');
+    let zone = 'default';
+    if (parts[0] === 'zone') {
+      zone = parts[1];
+      parts.splice(0, 2);
+    }
+    if (parts.length !== 2 || parts[0] !== 'cmd' || !parts[1]) return;
+    const command = ALIASES[parts[1]] || parts[1];
+    Promise.resolve()
+      .then(() => this.runCommand(zone, command, parseArgs(payload)))
+      .catch(err => this.emit('error', new Error(`MQTT ${topic}: ${err.message}`)));
+  }
+
+  /** Feed every state_change in; publishes the topics whose value changed. */
+  publish (zone, payload) {
+    if (!this.client.connected) return;
+    const { playbackInfo, state } = payload;
+    const base = this.baseTopic(zone);
+    const messages = {
+      state: JSON.stringify(payload),
+      track: JSON.stringify({
+        name: playbackInfo.name,
+        artist: playbackInfo.artist,
+        album: playbackInfo.album,
+        uri: playbackInfo.trackId,
+        duration: playbackInfo.duration,
+        albumArtUrl: playbackInfo.albumArtUrl
+      }),
+      volume: String(state.volume),
+      shuffle: String(!!state.isShuffling),
+      repeat: state.repeatState
+    };
+    const published = this._published.get(zone) || {};
+    for (const [key, message] of Object.entries(messages)) {
+      if (published[key] === message) continue;
+      published[key] = message;
+      this._publish(`${base}/${key}`, message);
+    }
+    this._published.set(zone, published);
+  }
+
+  /** Home Assistant discovery messages of one zone. */
+  _discover (zone) {
+    if (!this.discoveryPrefix) return;
+    const base = this.baseTopic(zone);
+    const id = `spotify_bridge_${zone}`;
+    const common = {
+      availability_topic: MqttBridge.availabilityTopic(this.prefix),
+      device: { identifiers: [id], name: zone === 'default' ? 'Spotify' : `Spotify ${zone}`, manufacturer: 'spotify-controller-bridge', model: 'Spotify Connect bridge' }
+    };
+    const entities = [
+      ['sensor', 'track', { name: 'Track', state_topic: `${base}/track`, value_template: '{{ value_json.name }}', json_attributes_topic: `${base}/track`, icon: 'mdi:music' }],
+      ['sensor', 'player_state', { name: 'Player state', state_topic: `${base}/state`, value_template: '{{ value_json.state.state }}', icon: 'mdi:play-pause' }],
+      ['number', 'volume', { name: 'Volume', state_topic: `${base}/volume`, command_topic: `${base}/cmd/setVolume`, min: 0, max: 100, step: 1, unit_of_measurement: '%', icon: 'mdi:volume-high' }],
+      ['switch', 'shuffle', { name: 'Shuffle', state_topic: `${base}/shuffle`, command_topic: `${base}/cmd/setShuffle`, payload_on: 'true', payload_off: 'false', icon: 'mdi:shuffle' }],
+      ['select', 'repeat', { name: 'Repeat', state_topic: `${base}/repeat`, command_topic: `${base}/cmd/setRepeat`, options: ['off', 'context', 'track'], icon: 'mdi:repeat' }],
+      ...Object.entries(BUTTONS).map(([command, name]) => ['button', command, { name, command_topic: `${base}/cmd/${command}`, payload_press: '' }])
+    ];
+    for (const [component, key, config] of entities) {
+      const uniqueId = `${id}_${key}`;
+      this._publish(`${this.discoveryPrefix}/${component}/${id}/${key}/config`, JSON.stringify({ ...config, ...common, unique_id: uniqueId, object_id: uniqueId }));
+    }
+  }
+
+  /** Publish offline and disconnect. */
+  stop () {
+    this.client.removeListener('connect', this._onConnect);
+    this.client.removeListener('message', this._onMessage);
+    if (this.client.connected) this._publish(MqttBridge.availabilityTopic(this.prefix), 'offline');
+    this.client.end();
+  }
+}
+
+module.exports = { MqttBridge, parseArgs };
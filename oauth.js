@@ -0,0 +1,189 @@
+/**
+ * Spotify Authorization Code flow, with or without PKCE.
+ * Shared by auth-helper.js (loopback CLI) and the bridge's own /auth/login and /auth/callback routes.
+ *
+ * The client-secret variant needs SPOTIFY_CLIENT_SECRET; the PKCE variant only needs the
+ * client ID, and its refresh tokens must then be refreshed without the secret (see SpotifyWebAPI).
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+
+const SPOTIFY_AUTHORIZE_URL = 'https://accounts.spotify.com/authorize';
+const SPOTIFY_TOKEN_URL = 'https://accounts.spotify.com/api/token';
+const DEFAULT_SCOPES = [
+  'user-read-playback-state',
+  'user-modify-playback-state',
+  'user-read-currently-playing',
+  // Library browsing (/playlists)
+  'playlist-read-private',
+  'playlist-read-collaborative'
+];
+const PENDING_TTL_MS = 10 * 60 * 1000;
+const STATE_COOKIE = 'spotify_oauth_state';
+
+function base64url (buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/** PKCE code verifier and its S256 challenge. */
+function createPkcePair () {
+  const verifier = base64url(crypto.randomBytes(64));
+  const challenge = base64url(crypto.createHash('sha256').update(verifier).digest());
+  return { verifier, challenge };
+}
+
+function buildAuthorizeUrl ({ clientId, redirectUri, scopes = DEFAULT_SCOPES, state, codeChallenge, showDialog = true }) {
+  const params = new URLSearchParams({
+    client_id: clientId,
+    response_type: 'code',
+    redirect_uri: redirectUri,
+    scope: Array.isArray(scopes) ? scopes.join(' ') : scopes
+  });
+  if (state) params.set('state', state);
+  if (codeChallenge) {
+    params.set('code_challenge_method', 'S256');
+    params.set('code_challenge', codeChallenge);
+  }
+  if (showDialog) params.set('show_dialog', 'true');
+  return `${SPOTIFY_AUTHORIZE_URL}?${params.toString()}`;
+}
+
+/**
+ * Exchange an authorization code for tokens. Pass codeVerifier for PKCE (client_id goes in
+ * the body), otherwise clientSecret for HTTP Basic client authentication.
+ */
+async function exchangeCode ({ clientId, clientSecret, code, redirectUri, codeVerifier }) {
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri
+  });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+  if (codeVerifier) {
+    body.set('client_id', clientId);
+    body.set('code_verifier', codeVerifier);
+  } else {
+    if (!clientId || !clientSecret) throw new Error('SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET required');
+    headers.Authorization = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+  }
+  const res = await fetch(SPOTIFY_TOKEN_URL, { method: 'POST', headers, body: body.toString() });
+  if (!res.ok) {
+    const text = await res.text();
+    throw new Error(`Token exchange failed: ${res.status} ${text}`);
+  }
+  return res.json();
+}
+
+/** Parse OAUTH_SCOPES-style input (space or comma separated) into a list. */
+function parseScopes (value) {
+  if (!value) return DEFAULT_SCOPES;
+  return String(value).split(/[\s,]+/).filter(Boolean);
+}
+
+function escapeHtml (text) {
+  return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+function page (body) {
+  return `<!DOCTYPE html>
+<html><head><meta charset="utf-8"><title>Spotify Auth</title></head>
+<body style="font-family:sans-serif;max-width:560px;margin:2em auto;padding:1em;">
+${body}
+</body></html>`;
+}
+
+function readCookie (req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const i = part.indexOf('=');
+    if (i !== -1 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return null;
+}
+
+/**
+ * Routes: GET /auth/login?zone=<name>&flow=pkce|secret and GET /auth/callback.
+ * The state parameter is random, single-use, expires after 10 minutes and is bound to the
+ * browser that started the login by an HttpOnly cookie.
+ *
+ * @param {object} options
+ * @param {function} options.getZone name -> zone (with getOAuthClient() and authorize())
+ * @param {string} [options.redirectUri] fixed redirect URI; default is /auth/callback on the request's host
+ * @param {string[]} [options.scopes]
+ * @param {string} [options.flow] default flow: 'pkce', 'secret' or 'auto' (secret when configured)
+ */
+function createOAuthRouter ({ getZone, redirectUri, scopes = DEFAULT_SCOPES, flow = 'auto' }) {
+  const router = express.Router();
+  const pending = new Map();
+
+  function prune () {
+    const now = Date.now();
+    for (const [state, entry] of pending) {
+      if (now - entry.createdAt > PENDING_TTL_MS) pending.delete(state);
+    }
+  }
+
+  router.get('/auth/login', (req, res) => {
+    const zoneName = req.query.zone || 'default';
+    const zone = getZone(zoneName);
+    if (!zone) return res.status(404).send(`Unknown zone: ${zoneName}`);
+    const { clientId, clientSecret } = zone.getOAuthClient();
+    if (!clientId) return res.status(503).send('SPOTIFY_CLIENT_ID is not set');
+    let selected = req.query.flow || flow;
+    if (selected === 'auto') selected = clientSecret ? 'secret' : 'pkce';
+    if (selected !== 'pkce' && selected !== 'secret') return res.status(400).send('flow must be pkce or secret');
+    if (selected === 'secret' && !clientSecret) return res.status(400).send('SPOTIFY_CLIENT_SECRET is not set; use flow=pkce');
+
+    prune();
+    const state = base64url(crypto.randomBytes(24));
+    const pkce = selected === 'pkce' ? createPkcePair() : null;
+    const callbackUri = redirectUri || `${req.protocol}://${req.get('host')}/auth/callback`;
+    pending.set(state, { zone: zoneName, flow: selected, verifier: pkce && pkce.verifier, redirectUri: callbackUri, createdAt: Date.now() });
+    res.cookie(STATE_COOKIE, state, { httpOnly: true, sameSite: 'lax', maxAge: PENDING_TTL_MS });
+    res.redirect(buildAuthorizeUrl({ clientId, redirectUri: callbackUri, scopes, state, codeChallenge: pkce && pkce.challenge }));
+  });
+
+  router.get('/auth/callback', async (req, res) => {
+    const { code, error, state } = req.query;
+    const entry = state ? pending.get(state) : null;
+    res.clearCookie(STATE_COOKIE);
+    if (!entry || readCookie(req, STATE_COOKIE) !== state || Date.now() - entry.createdAt > PENDING_TTL_MS) {
+      return res.status(400).send(page('<p style="color:red;">Invalid or expired login state. Start again from /auth/login.</p>'));
+    }
+    pending.delete(state);
+    if (error) {
+      return res.status(400).send(page(`<p style="color:red;">Authorization failed: ${escapeHtml(error)}</p>`));
+    }
+    if (!code) return res.status(400).send(page('<p>No code received. Try again.</p>'));
+    const zone = getZone(entry.zone);
+    if (!zone) return res.status(404).send(page(`<p>Unknown zone: ${escapeHtml(entry.zone)}</p>`));
+    try {
+      const { clientId, clientSecret } = zone.getOAuthClient();
+      const tokens = await exchangeCode({
+        clientId,
+        clientSecret,
+        code,
+        redirectUri: entry.redirectUri,
+        codeVerifier: entry.verifier
+      });
+      if (!tokens.refresh_token) throw new Error('Spotify did not return a refresh token');
+      await zone.authorize(tokens.refresh_token, entry.flow);
+      res.send(page(`<h2>Success</h2><p>Zone <strong>${escapeHtml(entry.zone)}</strong> is authorized and the bridge is using the new token. You can close this tab.</p>`));
+    } catch (err) {
+      res.status(500).send(page(`<p style="color:red;">Error: ${escapeHtml(err.message)}</p>`));
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  DEFAULT_SCOPES,
+  createPkcePair,
+  buildAuthorizeUrl,
+  exchangeCode,
+  parseScopes,
+  escapeHtml,
+  createOAuthRouter
+};
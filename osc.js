@@ -0,0 +1,327 @@
+/**
+ * OSC over UDP for audio desks, lighting consoles and QLab. Incoming messages run bridge
+ * commands: /spotify/<command> [args] in the default zone, /spotify/zone/<name>/<command>
+ * in a named one, with the same names and arguments as the Socket.io events, plus:
+ *
+ *   /spotify/volume <0–100>                  setVolume
+ *   /spotify/ramp <volume> <step> <seconds>  rampVolume
+ *   /spotify/position <seconds>              setPlayerPosition
+ *   /spotify/refresh                         send every state field to the targets again
+ *
+ * Every state_change is published to the configured targets as one message per field that
+ * changed, under the same prefix (/spotify/track/name, /spotify/zone/lobby/volume, ...):
+ *
+ *   track/name, track/artist, track/album, track/uri  string
+ *   track/duration, position, remaining               float, seconds
+ *   state                                             string: playing, paused or stopped
+ *   playing, volume, shuffle                          int (playing and shuffle 0 or 1)
+ *   repeat                                            string: off, context or track
+ *   device                                            string
+ *
+ * Supported argument types: i, f, h, d, s, b, T, F, N; bundles are run immediately, in order.
+ */
+
+const dgram = require('dgram');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger.js');
+
+const DEFAULT_PREFIX = '/spotify';
+const ALIASES = { volume: 'setVolume', ramp: 'rampVolume', position: 'setPlayerPosition' };
+
+// ---- Codec ----
+
+function padded (length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+function encodeString (value) {
+  const bytes = Buffer.from(String(value), 'utf8');
+  const buf = Buffer.alloc(padded(bytes.length + 1));
+  bytes.copy(buf);
+  return buf;
+}
+
+function readString (buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end === -1) throw new Error('Unterminated OSC string');
+  return { value: buf.toString('utf8', offset, end), offset: offset + padded(end - offset + 1) };
+}
+
+function ensureBytes (buf, offset, size) {
+  if (size < 0 || offset + size > buf.length) throw new Error('Truncated OSC message');
+}
+
+/**
+ * Encode one message. Arguments are typed by value (integer i, other numbers f, string s,
+ * boolean T/F, null N, Buffer b) unless given as { type, value }, e.g. { type: 'd', value: 0.1 }.
+ */
+function encodeMessage (address, args = []) {
+  let tags = ',';
+  const parts = [];
+  for (const arg of args) {
+    const typed = arg && typeof arg === 'object' && !Buffer.isBuffer(arg) ? arg : { value: arg };
+    const { value } = typed;
+    let type = typed.type;
+    if (!type) {
+      if (typeof value === 'number') type = Number.isInteger(value) ? 'i' : 'f';
+      else if (typeof value === 'boolean') type = value ? 'T' : 'F';
+      else if (value == null) type = 'N';
+      else if (Buffer.isBuffer(value)) type = 'b';
+      else type = 's';
+    }
+    tags += type;
+    if (type === 'i') {
+      const buf = Buffer.alloc(4);
+      buf.writeInt32BE(Math.round(value) | 0);
+      parts.push(buf);
+    } else if (type === 'f') {
+      const buf = Buffer.alloc(4);
+      buf.writeFloatBE(Number(value));
+      parts.push(buf);
+    } else if (type === 'h') {
+      const buf = Buffer.alloc(8);
+      buf.writeBigInt64BE(BigInt(Math.round(value)));
+      parts.push(buf);
+    } else if (type === 'd') {
+      const buf = Buffer.alloc(8);
+      buf.writeDoubleBE(Number(value));
+      parts.push(buf);
+    } else if (type === 's') {
+      parts.push(encodeString(value));
+    } else if (type === 'b') {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(value.length);
+      parts.push(size, value, Buffer.alloc(padded(value.length) - value.length));
+    } else if (!'TFN'.includes(type)) {
+      throw new Error(`Unsupported OSC type tag: ${type}`);
+    }
+  }
+  return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+/** Decode one message into { address, args }; throws on truncated or malformed input. */
+function decodeMessage (buf) {
+  let { value: address, offset } = readString(buf, 0);
+  if (!address.startsWith('/')) throw new Error(`Invalid OSC address: ${address}`);
+  if (offset >= buf.length) return { address, args: [] };
+  const tagString = readString(buf, offset);
+  offset = tagString.offset;
+  if (!tagString.value.startsWith(',')) throw new Error('Missing OSC type tags');
+  const args = [];
+  for (const tag of tagString.value.slice(1)) {
+    if (tag === 'i') {
+      ensureBytes(buf, offset, 4);
+      args.push(buf.readInt32BE(offset));
+      offset += 4;
+    } else if (tag === 'f') {
+      ensureBytes(buf, offset, 4);
+      args.push(buf.readFloatBE(offset));
+      offset += 4;
+    } else if (tag === 'h') {
+      ensureBytes(buf, offset, 8);
+      args.push(Number(buf.readBigInt64BE(offset)));
+      offset += 8;
+    } else if (tag === 'd') {
+      ensureBytes(buf, offset, 8);
+      args.push(buf.readDoubleBE(offset));
+      offset += 8;
+    } else if (tag === 's') {
+      const s = readString(buf, offset);
+      args.push(s.value);
+      offset = s.offset;
+    } else if (tag === 'b') {
+      ensureBytes(buf, offset, 4);
+      const size = buf.readInt32BE(offset);
+      ensureBytes(buf, offset + 4, size);
+      args.push(buf.subarray(offset + 4, offset + 4 + size));
+      offset += 4 + padded(size);
+    } else if (tag === 'T' || tag === 'F') {
+      args.push(tag === 'T');
+    } else if (tag === 'N') {
+      args.push(null);
+    } else {
+      throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+  }
+  return { address, args };
+}
+
+/** Decode a packet into its messages (a bundle's elements, flattened in order). */
+function decodePacket (buf) {
+  if (buf.toString('utf8', 0, 8) !== '#bundle\0') return [decodeMessage(buf)];
+  const messages = [];
+  // Skip '#bundle' and the time tag
+  let offset = 16;
+  if (buf.length < offset) throw new Error('Truncated OSC bundle');
+  while (offset < buf.length) {
+    if (offset + 4 > buf.length) throw new Error('Truncated OSC bundle');
+    const size = buf.readInt32BE(offset);
+    if (size < 0 || offset + 4 + size > buf.length) throw new Error('Truncated OSC bundle');
+    messages.push(...decodePacket(buf.subarray(offset + 4, offset + 4 + size)));
+    offset += 4 + size;
+  }
+  return messages;
+}
+
+// ---- Configuration ----
+
+/** Parse OSC targets ("host:port", comma separated, or an array of them). */
+function parseTargets (value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(entry => {
+    if (entry && typeof entry === 'object') return entry;
+    const match = String(entry).trim().match(/^(.+):(\d+)$/);
+    const port = match && Number(match[2]);
+    if (!match || port < 1 || port > 65535) throw new Error(`OSC target "${entry}" must be host:port`);
+    return { host: match[1], port };
+  });
+}
+
+function stateFields (payload) {
+  const { playbackInfo, state } = payload;
+  const duration = (playbackInfo.duration || 0) / 1000;
+  const position = state.position || 0;
+  return {
+    'track/name': playbackInfo.name,
+    'track/artist': playbackInfo.artist,
+    'track/album': playbackInfo.album,
+    'track/uri': playbackInfo.trackId,
+    'track/duration': { type: 'f', value: duration },
+    position: { type: 'f', value: position },
+    remaining: { type: 'f', value: Math.max(0, duration - position) },
+    state: state.state,
+    playing: { type: 'i', value: state.state === 'playing' ? 1 : 0 },
+    volume: { type: 'i', value: state.volume },
+    shuffle: { type: 'i', value: state.isShuffling ? 1 : 0 },
+    repeat: state.repeatState,
+    device: playbackInfo.deviceName
+  };
+}
+
+class OscBridge extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {number} [options.port] UDP port to listen on; without it no commands are received
+   * @param {string} [options.host] address to listen on (default all)
+   * @param {Array<{host, port}>|string} [options.targets] where state is published
+   * @param {string} [options.prefix] address prefix (default /spotify)
+   * @param {string[]} [options.allow] source addresses commands are accepted from (default any)
+   * @param {function(zone, command, args, source): Promise} options.runCommand runs a command;
+   *   zone is a zone name, source { address, port } of the sender
+   * @param {function(): Array<{name, payload}>} options.getStates last state_change of every zone, for refresh
+   */
+  constructor ({ port, host = '0.0.0.0', targets, prefix = DEFAULT_PREFIX, allow = [], runCommand, getStates }) {
+    super();
+    this.port = port ? Number(port) : null;
+    this.host = host;
+    this.targets = parseTargets(targets);
+    this.prefix = prefix.replace(/\/+$/, '');
+    this.allow = allow;
+    this.runCommand = runCommand;
+    this.getStates = getStates;
+    this._sent = new Map();
+    this.socket = null;
+  }
+
+  /** Whether state is published anywhere (zones then keep polling without Socket.io clients). */
+  get publishing () {
+    return this.targets.length > 0;
+  }
+
+  /** Open the socket (listening if a port is set) and send the current state to the targets. */
+  async start () {
+    if (!this.port && !this.publishing) return;
+    this.socket = dgram.createSocket('udp4');
+    this.socket.on('message', (buf, rinfo) => this._receive(buf, rinfo));
+    this.socket.on('error', (err) => this.emit('error', err));
+    if (this.port) {
+      // Listening and sending share the port, so a console that replies to the source finds us
+      await new Promise((resolve, reject) => {
+        this.socket.once('error', reject);
+        this.socket.bind(this.port, this.host, () => {
+          this.socket.removeListener('error', reject);
+          logger.info(`OSC listening on udp ${this.host}:${this.port}`);
+          resolve();
+        });
+      });
+    }
+    this.refresh();
+  }
+
+  stop () {
+    if (!this.socket) return;
+    this.socket.close();
+    this.socket = null;
+  }
+
+  _receive (buf, rinfo) {
+    if (this.allow.length && !this.allow.includes(rinfo.address)) return;
+    let messages;
+    try {
+      messages = decodePacket(buf);
+    } catch (err) {
+      this.emit('error', new Error(`OSC from ${rinfo.address}: ${err.message}`));
+      return;
+    }
+    // Bundled commands run in order, each after the previous one finished
+    messages.reduce((previous, message) => previous.then(() => this._handle(message, rinfo)), Promise.resolve());
+  }
+
+  async _handle ({ address, args }, rinfo) {
+    if (!address.startsWith(this.prefix + '/')) return;
+    const parts = address.slice(this.prefix.length + 1).split('/');
+    let zone = 'default';
+    if (parts[0] === 'zone' && parts.length === 3) {
+      zone = parts[1];
+      parts.splice(0, 2);
+    }
+    if (parts.length !== 1 || !parts[0]) return;
+    const name = parts[0];
+    try {
+      if (name === 'refresh') {
+        this.refresh();
+        return;
+      }
+      await this.runCommand(zone, ALIASES[name] || name, args, { address: rinfo.address, port: rinfo.port });
+    } catch (err) {
+      this.emit('error', new Error(`OSC ${address}: ${err.message}`));
+    }
+  }
+
+  _addressOf (zone, field) {
+    return zone === 'default' ? `${this.prefix}/${field}` : `${this.prefix}/zone/${zone}/${field}`;
+  }
+
+  /** Feed every state_change in; sends the fields that changed since the last one. */
+  publish (zone, payload) {
+    if (!this.socket || !this.publishing) return;
+    const sent = this._sent.get(zone) || {};
+    const fields = stateFields(payload);
+    for (const [field, value] of Object.entries(fields)) {
+      const key = JSON.stringify(value);
+      if (sent[field] === key) continue;
+      sent[field] = key;
+      this._send(encodeMessage(this._addressOf(zone, field), [value]));
+    }
+    this._sent.set(zone, sent);
+  }
+
+  /** Send every field of every zone again, e.g. after a console restarted. */
+  refresh () {
+    this._sent.clear();
+    for (const { name, payload } of this.getStates()) {
+      if (payload) this.publish(name, payload);
+    }
+  }
+
+  _send (packet) {
+    for (const { host, port } of this.targets) {
+      this.socket.send(packet, port, host, (err) => {
+        if (err) this.emit('error', new Error(`OSC send to ${host}:${port}: ${err.message}`));
+      });
+    }
+  }
+}
+
+module.exports = { OscBridge, encodeMessage, decodeMessage, decodePacket, parseTargets };
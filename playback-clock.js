@@ -0,0 +1,58 @@
+/**
+ * Local model of the Spotify playback position between API polls.
+ * Extrapolates progress from the last sampled progress_ms and the time it was received,
+ * so the bridge can report a smoothly advancing position without calling the API.
+ */
+
+class PlaybackClock {
+  constructor (now = Date.now) {
+    this._now = now;
+    this.reset();
+  }
+
+  reset () {
+    this.trackId = '';
+    this.isPlaying = false;
+    this.progressMs = 0;
+    this.durationMs = 0;
+    this.sampledAt = 0;
+  }
+
+  /**
+   * Record a /me/player response. Spotify's own `timestamp` field marks the last state
+   * change rather than when progress_ms was measured, so the local receive time is used.
+   */
+  update (player, sampledAt = this._now()) {
+    if (!player || !player.item) {
+      this.reset();
+      this.sampledAt = sampledAt;
+      return;
+    }
+    this.trackId = player.item.uri || '';
+    this.isPlaying = player.is_playing === true;
+    this.progressMs = player.progress_ms != null ? player.progress_ms : 0;
+    this.durationMs = player.item.duration_ms || 0;
+    this.sampledAt = sampledAt;
+  }
+
+  /** The bridge just seeked: extrapolate from there until the next poll confirms it. */
+  seek (positionMs, at = this._now()) {
+    this.progressMs = Math.max(0, positionMs);
+    this.sampledAt = at;
+  }
+
+  /** Extrapolated position in ms, clamped to the track duration. */
+  positionMs (at = this._now()) {
+    if (!this.isPlaying) return this.progressMs;
+    const position = this.progressMs + Math.max(0, at - this.sampledAt);
+    return this.durationMs ? Math.min(this.durationMs, position) : position;
+  }
+
+  /** Time left in the current track in ms, or null when the duration is unknown. */
+  remainingMs (at = this._now()) {
+    if (!this.durationMs) return null;
+    return Math.max(0, this.durationMs - this.positionMs(at));
+  }
+}
+
+module.exports = { PlaybackClock };
@@ -0,0 +1,55 @@
+/**
+ * Discrete playback events for outbound integrations (webhooks, ...), derived from the
+ * difference between two state_change payloads of a zone. Zones emit them as 'event' on the
+ * server's event bus: { zone, event, at, data }.
+ *
+ *   track_change   a different track (or episode) is current; data { track, previous }
+ *   play / pause / stop   the player state changed; data { track }
+ *   volume_change  data { volume, previous }
+ *   device_change  playback moved to another device; data { device, previous }
+ *   auth_failure   the zone's Spotify authorization was lost; data { status, message }
+ */
+
+const EVENTS = ['track_change', 'play', 'pause', 'stop', 'volume_change', 'device_change', 'auth_failure'];
+
+const PLAYER_EVENTS = { playing: 'play', paused: 'pause', stopped: 'stop' };
+
+function trackInfo (payload) {
+  const { playbackInfo } = payload;
+  if (!playbackInfo.trackId) return null;
+  return {
+    uri: playbackInfo.trackId,
+    name: playbackInfo.name,
+    artist: playbackInfo.artist,
+    album: playbackInfo.album,
+    duration: playbackInfo.duration,
+    albumArtUrl: playbackInfo.albumArtUrl
+  };
+}
+
+/**
+ * Events between two payloads, in the order they should be delivered. The first payload a
+ * zone sees (previous null) produces none, so a bridge restart does not look like a change.
+ * @returns {Array<{ event, data }>}
+ */
+function stateEvents (previous, next) {
+  if (!previous || !previous.state || !next || !next.state) return [];
+  const events = [];
+  const track = trackInfo(next);
+  if (next.state.track_id !== previous.state.track_id && track) {
+    events.push({ event: 'track_change', data: { track, previous: trackInfo(previous) } });
+  }
+  if (next.state.state !== previous.state.state) {
+    events.push({ event: PLAYER_EVENTS[next.state.state], data: { track } });
+  }
+  if (next.state.volume !== previous.state.volume) {
+    events.push({ event: 'volume_change', data: { volume: next.state.volume, previous: previous.state.volume } });
+  }
+  const device = next.playbackInfo.deviceName;
+  if (device && device !== previous.playbackInfo.deviceName) {
+    events.push({ event: 'device_change', data: { device, previous: previous.playbackInfo.deviceName || null } });
+  }
+  return events;
+}
+
+module.exports = { EVENTS, stateEvents };
@@ -0,0 +1,137 @@
+(function () {
+  // Options from the URL, e.g. /overlay?theme=corner&corner=top-right&accent=ff5500
+  //   theme       lower-third (default), corner or fullscreen
+  //   corner      top-left, top-right, bottom-left or bottom-right (default), for theme=corner
+  //   art=0       no album art; progress=0 no progress bar; album=0 no album line
+  //   background=0  no blurred album art behind theme=fullscreen
+  //   accent      label and progress colour, hex without #
+  //   scale       text size factor, e.g. 1.5
+  //   hideAfter   seconds paused or stopped before the overlay hides (default 2; -1 never hides)
+  //   zone, key   named zone and API key, as for /ui
+  var params = new URLSearchParams(window.location.search);
+  var key = params.get('key');
+  var zone = params.get('zone');
+  var theme = params.get('theme') || 'lower-third';
+  var hideAfterSeconds = params.has('hideAfter') ? Number(params.get('hideAfter')) : 2;
+  var socket = io(zone ? '/zone/' + encodeURIComponent(zone) : '/', { transports: ['websocket', 'polling'], auth: key ? { token: key } : {} });
+
+  var overlayEl = document.getElementById('overlay');
+  var cardEl = overlayEl.querySelector('.card');
+  var artEl = document.getElementById('art');
+  var titleEl = document.getElementById('title');
+  var artistEl = document.getElementById('artist');
+  var albumEl = document.getElementById('album');
+  var progressEl = document.getElementById('progress');
+  var backdropEl = null;
+
+  // Track shown, and the position to extrapolate from between state_change messages
+  var shownTrackId = null;
+  var pendingTrackId = null;
+  var position = 0;
+  var positionAt = 0;
+  var duration = 0;
+  var playing = false;
+  var hideTimer = null;
+  // Must match --transition in overlay.css
+  var TRANSITION_MS = 450;
+
+  var body = document.body;
+  body.classList.add('theme-' + (['lower-third', 'corner', 'fullscreen'].indexOf(theme) !== -1 ? theme : 'lower-third'));
+  body.classList.add('corner-' + (params.get('corner') || 'bottom-right'));
+  if (params.get('art') === '0') body.classList.add('no-art');
+  if (params.get('progress') === '0') body.classList.add('no-progress');
+  if (params.get('album') === '0') body.classList.add('no-album');
+  if (params.get('background') === '0') body.classList.add('no-background');
+  if (/^[0-9a-f]{3,8}$/i.test(params.get('accent') || '')) body.style.setProperty('--accent', '#' + params.get('accent'));
+  if (Number(params.get('scale')) > 0) body.style.setProperty('--scale', params.get('scale'));
+  if (theme === 'fullscreen') {
+    backdropEl = document.createElement('div');
+    backdropEl.className = 'backdrop';
+    overlayEl.insertBefore(backdropEl, overlayEl.firstChild);
+  }
+
+  function setVisible(visible) {
+    if (visible) {
+      clearTimeout(hideTimer);
+      hideTimer = null;
+      overlayEl.classList.remove('hidden');
+      return;
+    }
+    // Already hiding (or hidden): further paused states don't restart the delay
+    if (hideTimer || hideAfterSeconds < 0 || overlayEl.classList.contains('hidden')) return;
+    hideTimer = setTimeout(function () {
+      hideTimer = null;
+      overlayEl.classList.add('hidden');
+    }, hideAfterSeconds * 1000);
+  }
+
+  function showTrack(info) {
+    titleEl.textContent = info.name || '';
+    artistEl.textContent = info.artist || '';
+    albumEl.textContent = info.album || '';
+    if (artEl.getAttribute('src') !== (info.albumArtUrl || '')) artEl.src = info.albumArtUrl || '';
+    artEl.style.visibility = info.albumArtUrl ? '' : 'hidden';
+    if (backdropEl) backdropEl.style.backgroundImage = info.albumArtUrl ? 'url("' + info.albumArtUrl + '")' : 'none';
+  }
+
+  // Fade the old track out, swap the text once the new art has loaded, fade back in
+  function changeTrack(info) {
+    pendingTrackId = info.trackId;
+    if (shownTrackId === null || overlayEl.classList.contains('hidden')) {
+      shownTrackId = info.trackId;
+      showTrack(info);
+      return;
+    }
+    cardEl.classList.add('changing');
+    var art = new Image();
+    var swapped = false;
+    function swap() {
+      if (swapped || pendingTrackId !== info.trackId) return;
+      swapped = true;
+      shownTrackId = info.trackId;
+      showTrack(info);
+      cardEl.classList.remove('changing');
+    }
+    setTimeout(function () {
+      if (!info.albumArtUrl) return swap();
+      art.onload = swap;
+      art.onerror = swap;
+      art.src = info.albumArtUrl;
+      // Don't wait for a slow image longer than another transition
+      setTimeout(swap, TRANSITION_MS);
+    }, TRANSITION_MS);
+  }
+
+  function renderState(payload) {
+    var info = payload && payload.playbackInfo;
+    if (!info || !info.trackId) {
+      playing = false;
+      setVisible(false);
+      return;
+    }
+    if (info.trackId !== pendingTrackId) changeTrack(info);
+    else if (info.trackId === shownTrackId) showTrack(info);
+    position = info.playbackPosition || 0;
+    positionAt = performance.now();
+    duration = (info.duration || 0) / 1000;
+    playing = info.playerState === 'Playing';
+    setVisible(playing);
+  }
+
+  // Move the progress bar every frame from the last known position
+  function tick() {
+    var now = playing ? position + (performance.now() - positionAt) / 1000 : position;
+    var pct = duration > 0 ? Math.min(100, (now / duration) * 100) : 0;
+    progressEl.style.width = pct + '%';
+    window.requestAnimationFrame(tick);
+  }
+  window.requestAnimationFrame(tick);
+
+  socket.on('connect', function () {
+    socket.emit('state');
+  });
+
+  socket.on('state_change', function (payload) {
+    renderState(payload);
+  });
+})();
@@ -1,5 +1,10 @@
 (function () {
-  var socket = io({ transports: ['websocket', 'polling'] });
+  // API key, if the bridge requires one: open the page as /ui.html?key=...
+  // Named zone: /ui.html?zone=lobby
+  var params = new URLSearchParams(window.location.search);
+  var key = params.get('key');
+  var zone = params.get('zone');
+  var socket = io(zone ? '/zone/' + encodeURIComponent(zone) : '/', { transports: ['websocket', 'polling'], auth: key ? { token: key } : {} });
   var titleEl = document.getElementById('title');
   var artistEl = document.getElementById('artist');
   var albumEl = document.getElementById('album');
@@ -9,6 +14,38 @@
   var remainingEl = document.getElementById('remaining');
   var connectionEl = document.getElementById('connection');
   var deviceEl = document.getElementById('device');
+  var zoneEl = document.getElementById('zone');
+  var rampingEl = document.getElementById('ramping');
+  var playToggleEl = document.getElementById('playToggle');
+  var shuffleEl = document.getElementById('shuffle');
+  var repeatEl = document.getElementById('repeat');
+  var volumeEl = document.getElementById('volume');
+  var volumeValueEl = document.getElementById('volumeValue');
+  var rampSecondsEl = document.getElementById('rampSeconds');
+  var devicePickerEl = document.getElementById('devicePicker');
+  var deviceMessageEl = document.getElementById('deviceMessage');
+  var searchFormEl = document.getElementById('searchForm');
+  var searchQueryEl = document.getElementById('searchQuery');
+  var searchResultsEl = document.getElementById('searchResults');
+  var toastEl = document.getElementById('toast');
+  var logsPanelEl = document.getElementById('logsPanel');
+  var logLevelEl = document.getElementById('logLevel');
+  var logEntriesEl = document.getElementById('logEntries');
+
+  var lastPayload = null;
+  // While the slider is held, state_change must not move it back
+  var volumeDragging = false;
+  var volumeTimer = null;
+  var toastTimer = null;
+  // Shortest time between two setVolume commands while dragging the slider
+  var VOLUME_SEND_MS = 150;
+  // Arrow keys on the progress bar seek by this many seconds
+  var SEEK_STEP_SECONDS = 5;
+  // Log lines kept in the log panel
+  var LOG_LINES = 200;
+  var logSource = null;
+
+  zoneEl.textContent = zone ? 'Zone: ' + zone : '';
 
   function formatTime(seconds) {
     if (seconds == null || !Number.isFinite(seconds) || seconds < 0) return '0:00';
@@ -22,7 +59,29 @@
     connectionEl.className = 'connection ' + (connected ? 'connected' : 'disconnected');
   }
 
+  function showToast(message) {
+    toastEl.textContent = message;
+    toastEl.hidden = false;
+    clearTimeout(toastTimer);
+    toastTimer = setTimeout(function () { toastEl.hidden = true; }, 3000);
+  }
+
+  // Acknowledgement callback for commands that report errors, e.g. ramps
+  function reportError(err) {
+    if (err) showToast(err);
+  }
+
+  function send() {
+    socket.emit.apply(socket, arguments);
+  }
+
+  function renderVolume(volume) {
+    volumeValueEl.textContent = volume;
+    if (!volumeDragging) volumeEl.value = volume;
+  }
+
   function renderState(payload) {
+    lastPayload = payload;
     if (!payload || !payload.playbackInfo) {
       titleEl.textContent = '—';
       artistEl.textContent = '—';
@@ -30,6 +89,7 @@
       albumArtEl.src = '';
       albumArtEl.alt = '';
       progressBarEl.style.setProperty('--progress', '0%');
+      progressBarEl.setAttribute('aria-valuenow', '0');
       elapsedEl.textContent = '0:00';
       remainingEl.textContent = '−0:00';
       deviceEl.textContent = '—';
@@ -38,6 +98,7 @@
     }
 
     var info = payload.playbackInfo;
+    var state = payload.state || {};
     var pos = info.playbackPosition != null ? info.playbackPosition : 0;
     var dur = info.duration != null ? info.duration / 1000 : 0;
     var pct = dur > 0 ? Math.min(100, (pos / dur) * 100) : 0;
@@ -47,7 +108,7 @@
     albumEl.textContent = info.album || '—';
 
     if (info.albumArtUrl) {
-      albumArtEl.src = info.albumArtUrl;
+      if (albumArtEl.getAttribute('src') !== info.albumArtUrl) albumArtEl.src = info.albumArtUrl;
       albumArtEl.alt = (info.album ? info.album + ' – ' : '') + 'Album art';
     } else {
       albumArtEl.src = '';
@@ -55,6 +116,7 @@
     }
 
     progressBarEl.style.setProperty('--progress', pct + '%');
+    progressBarEl.setAttribute('aria-valuenow', String(Math.round(pct)));
     elapsedEl.textContent = formatTime(pos);
     remainingEl.textContent = '−' + formatTime(Math.max(0, dur - pos));
 
@@ -63,18 +125,234 @@
     if (info.deviceIsActive) deviceParts.push('(active)');
     deviceEl.textContent = deviceParts.length ? deviceParts.join(' ') : '—';
     deviceEl.classList.toggle('active', !!info.deviceIsActive);
+
+    var playing = state.state === 'playing';
+    playToggleEl.innerHTML = playing ? '&#9208;' : '&#9654;';
+    playToggleEl.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+    shuffleEl.setAttribute('aria-pressed', state.isShuffling ? 'true' : 'false');
+    var repeat = state.repeatState || (state.isRepeating ? 'context' : 'off');
+    repeatEl.textContent = 'Repeat: ' + (repeat === 'context' ? 'all' : repeat === 'track' ? 'track' : 'off');
+    repeatEl.setAttribute('aria-pressed', repeat !== 'off' ? 'true' : 'false');
+    if (state.volume != null) renderVolume(state.volume);
   }
 
+  function renderDevices(devices) {
+    var list = (devices && devices.devices) || [];
+    devicePickerEl.innerHTML = '';
+    if (!list.length) {
+      var none = document.createElement('option');
+      none.textContent = 'No devices online';
+      none.value = '';
+      devicePickerEl.appendChild(none);
+    }
+    list.forEach(function (device) {
+      var option = document.createElement('option');
+      option.value = device.id;
+      option.textContent = device.name + (device.type ? ' (' + device.type + ')' : '') + (device.isRestricted ? ' – restricted' : '');
+      option.disabled = !!device.isRestricted;
+      option.selected = device.id === (devices.active || devices.target);
+      devicePickerEl.appendChild(option);
+    });
+    deviceMessageEl.textContent = devices && devices.status !== 'ok' ? devices.message || '' : '';
+  }
+
+  function resultItem(item) {
+    var li = document.createElement('li');
+    if (item.albumArtUrl) {
+      var img = document.createElement('img');
+      img.src = item.albumArtUrl;
+      img.alt = '';
+      li.appendChild(img);
+    }
+    var meta = document.createElement('div');
+    meta.className = 'meta';
+    var name = document.createElement('div');
+    name.className = 'name';
+    name.textContent = item.name;
+    var sub = document.createElement('div');
+    sub.className = 'sub';
+    sub.textContent = item.artist || item.owner || '';
+    meta.appendChild(name);
+    meta.appendChild(sub);
+    li.appendChild(meta);
+    var kind = document.createElement('span');
+    kind.className = 'kind';
+    kind.textContent = item.type;
+    li.appendChild(kind);
+    li.addEventListener('click', function () {
+      if (item.type === 'track') send('playtrack', item.uri);
+      else send('playtrackincontext', '', item.uri);
+      showToast('Playing ' + item.name);
+    });
+    return li;
+  }
+
+  function renderResults(result) {
+    searchResultsEl.innerHTML = '';
+    var items = [];
+    ['tracks', 'albums', 'playlists'].forEach(function (kind) {
+      if (result[kind]) items = items.concat(result[kind].items);
+    });
+    if (!items.length) {
+      var empty = document.createElement('li');
+      empty.textContent = 'Nothing found';
+      searchResultsEl.appendChild(empty);
+      return;
+    }
+    items.forEach(function (item) { searchResultsEl.appendChild(resultItem(item)); });
+  }
+
+  // ---- Controls ----
+
+  document.getElementById('previous').addEventListener('click', function () { send('previous'); });
+  document.getElementById('next').addEventListener('click', function () { send('next'); });
+  playToggleEl.addEventListener('click', function () { send('playToggle'); });
+  shuffleEl.addEventListener('click', function () {
+    send(shuffleEl.getAttribute('aria-pressed') === 'true' ? 'shuffleOff' : 'shuffleOn');
+  });
+  repeatEl.addEventListener('click', function () { send('repeatCycle'); });
+
+  // Seek by clicking (or tapping) the progress bar
+  progressBarEl.addEventListener('click', function (e) {
+    if (document.body.classList.contains('readonly') || !lastPayload) return;
+    var duration = lastPayload.playbackInfo.duration / 1000;
+    if (!duration) return;
+    var rect = progressBarEl.getBoundingClientRect();
+    var fraction = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    send('setPlayerPosition', Math.round(fraction * duration));
+  });
+  progressBarEl.addEventListener('keydown', function (e) {
+    if (document.body.classList.contains('readonly')) return;
+    if (e.key === 'ArrowLeft') send('movePlayerPosition', -SEEK_STEP_SECONDS);
+    else if (e.key === 'ArrowRight') send('movePlayerPosition', SEEK_STEP_SECONDS);
+  });
+
+  // Volume: send while dragging, at most every VOLUME_SEND_MS, and once more on release
+  volumeEl.addEventListener('input', function () {
+    volumeDragging = true;
+    volumeValueEl.textContent = volumeEl.value;
+    if (volumeTimer) return;
+    volumeTimer = setTimeout(function () {
+      volumeTimer = null;
+      send('setVolume', Number(volumeEl.value));
+    }, VOLUME_SEND_MS);
+  });
+  volumeEl.addEventListener('change', function () {
+    clearTimeout(volumeTimer);
+    volumeTimer = null;
+    volumeDragging = false;
+    send('setVolume', Number(volumeEl.value));
+  });
+  document.getElementById('mute').addEventListener('click', function () {
+    send(Number(volumeEl.value) > 0 ? 'mute' : 'unmute');
+  });
+
+  Array.prototype.forEach.call(document.querySelectorAll('[data-ramp]'), function (button) {
+    button.addEventListener('click', function () {
+      send('rampVolume', Number(button.getAttribute('data-ramp')), 1, Number(rampSecondsEl.value), reportError);
+    });
+  });
+  document.getElementById('fadeOutPause').addEventListener('click', function () {
+    send('fadeOutPause', Number(rampSecondsEl.value), reportError);
+  });
+  document.getElementById('playFadeIn').addEventListener('click', function () {
+    send('playFadeIn', Number(volumeEl.value) || 50, Number(rampSecondsEl.value), reportError);
+  });
+  document.getElementById('cancelRamp').addEventListener('click', function () { send('cancelRamp'); });
+
+  devicePickerEl.addEventListener('change', function () {
+    if (!devicePickerEl.value) return;
+    var playing = !!lastPayload && lastPayload.state && lastPayload.state.state === 'playing';
+    send('transferPlayback', devicePickerEl.value, playing);
+  });
+  document.getElementById('refreshDevices').addEventListener('click', function () { send('devices'); });
+
+  searchFormEl.addEventListener('submit', function (e) {
+    e.preventDefault();
+    var q = searchQueryEl.value.trim();
+    if (!q) return;
+    send('search', { q: q, type: 'track,album,playlist', limit: 10 }, function (err, result) {
+      if (err) return showToast(err);
+      renderResults(result);
+    });
+  });
+
+  // ---- Log (admin keys) ----
+
+  function renderLogEntry(entry) {
+    var li = document.createElement('li');
+    li.className = entry.level;
+    var fields = Object.keys(entry).filter(function (k) {
+      return k !== 'time' && k !== 'level' && k !== 'msg';
+    }).map(function (k) {
+      return k + '=' + (typeof entry[k] === 'string' ? entry[k] : JSON.stringify(entry[k]));
+    });
+    [['time', entry.time.slice(11, 19) + ' '], ['level', entry.level], ['msg', entry.msg], ['fields', fields.length ? ' ' + fields.join(' ') : '']].forEach(function (part) {
+      var span = document.createElement('span');
+      span.className = part[0];
+      span.textContent = part[1];
+      li.appendChild(span);
+    });
+    // Stay at the bottom unless the user scrolled up to read
+    var atBottom = logEntriesEl.scrollTop + logEntriesEl.clientHeight >= logEntriesEl.scrollHeight - 4;
+    logEntriesEl.appendChild(li);
+    while (logEntriesEl.children.length > LOG_LINES) logEntriesEl.removeChild(logEntriesEl.firstChild);
+    if (atBottom) logEntriesEl.scrollTop = logEntriesEl.scrollHeight;
+  }
+
+  // The panel appears once the stream opens; keys without admin get 403 and it stays hidden
+  function openLogs() {
+    if (logSource) logSource.close();
+    var query = ['level=' + encodeURIComponent(logLevelEl.value)];
+    if (key) query.push('key=' + encodeURIComponent(key));
+    logSource = new EventSource('/logs?' + query.join('&'));
+    logSource.onopen = function () {
+      logsPanelEl.hidden = false;
+    };
+    logSource.addEventListener('log', function (e) {
+      renderLogEntry(JSON.parse(e.data));
+    });
+  }
+
+  logLevelEl.addEventListener('change', function () {
+    logEntriesEl.textContent = '';
+    openLogs();
+  });
+  if (window.EventSource) openLogs();
+
+  // ---- Bridge events ----
+
   socket.on('connect', function () {
     setConnectionStatus(true);
     socket.emit('state');
+    socket.emit('devices');
   });
 
   socket.on('disconnect', function () {
     setConnectionStatus(false);
   });
 
+  socket.on('control_status', function (enabled) {
+    document.body.classList.toggle('readonly', !enabled);
+  });
+
   socket.on('state_change', function (payload) {
     renderState(payload);
   });
+
+  socket.on('ramping_state', function (ramping) {
+    rampingEl.hidden = !ramping;
+  });
+
+  socket.on('ramp_progress', function (progress) {
+    renderVolume(progress.current);
+  });
+
+  socket.on('devices_change', function (devices) {
+    renderDevices(devices);
+  });
+
+  socket.on('command_denied', function (denied) {
+    showToast('Not permitted for ' + denied.role + ': ' + denied.command);
+  });
 })();
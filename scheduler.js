@@ -0,0 +1,354 @@
+/**
+ * Scheduled playback: cron-style and one-shot rules whose actions are bridge commands,
+ * e.g. walk-in music at 9:30 and a fade-out at 9:58 every Sunday.
+ * Rules are persisted as JSON ({ "rules": [ ... ] }) together with their last run, so a
+ * restart can tell which runs it missed. Emits 'state' with getState() on every change.
+ *
+ * Rule fields:
+ *   id        assigned when missing
+ *   name      display name
+ *   zone      zone name (default 'default')
+ *   cron      five fields, local time: minute hour day-of-month month day-of-week
+ *             (numbers, *, ranges a-b, lists and steps such as 0-30/10; day-of-week 0–7, 0 and 7 = Sunday)
+ *   at        one-shot ISO date/time instead of cron; the rule is disabled after it runs
+ *   actions   [{ command, args }] run in order; rampVolume waits for the ramp to finish
+ *   enabled   default true
+ *   missed    'skip' (default) or 'run': run once after a restart if a run was missed
+ *             no more than graceMinutes ago
+ *   graceMinutes  default 60
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { logger } = require('./logger.js');
+
+const MINUTE_MS = 60 * 1000;
+// Re-plan at least this often so clock changes (DST, NTP) are picked up
+const MAX_TIMER_MS = 60 * MINUTE_MS;
+// Don't search further than this for the next cron match (e.g. 31 February)
+const MAX_SEARCH_YEARS = 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+function parseCronField (text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = part.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid cron ${name}: ${part}`);
+    let from = min;
+    let to = max;
+    if (match[2] != null) {
+      from = Number(match[2]);
+      to = match[3] != null ? Number(match[3]) : (match[4] != null ? max : from);
+    }
+    const step = match[4] != null ? Number(match[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw new Error(`Invalid cron ${name}: ${part}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/** Parse a five-field cron expression. */
+function parseCron (expression) {
+  const fields = String(expression).trim().split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Cron needs 5 fields (minute hour day month weekday): ${expression}`);
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: fields[2] !== '*' && fields[4] !== '*'
+  };
+}
+
+function cronDayMatches (cron, date) {
+  const dom = cron.days.has(date.getDate());
+  const dow = cron.weekdays.has(date.getDay());
+  return cron.anyDay ? dom || dow : dom && dow;
+}
+
+/** First time strictly after `after` (ms) matching the parsed cron, in local time, or null. */
+function nextCronTime (cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after + MAX_SEARCH_YEARS * 366 * 24 * 60 * MINUTE_MS;
+  while (date.getTime() <= limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!cronDayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+      continue;
+    }
+    if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+      continue;
+    }
+    if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+      continue;
+    }
+    return date.getTime();
+  }
+  return null;
+}
+
+/** Validate one rule and normalize it to the stored shape (keeps run bookkeeping). */
+function normalizeRule (raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Rule must be an object');
+  const name = raw.name ? String(raw.name) : '';
+  const where = name ? `Rule "${name}"` : 'Rule';
+  if (!raw.cron === !raw.at) throw new Error(`${where} needs either cron or at`);
+  if (raw.cron) parseCron(raw.cron);
+  if (raw.at && Number.isNaN(Date.parse(raw.at))) throw new Error(`${where}: invalid at: ${raw.at}`);
+  if (!Array.isArray(raw.actions) || !raw.actions.length) throw new Error(`${where} needs at least one action`);
+  const actions = raw.actions.map((action, i) => {
+    if (!action || typeof action.command !== 'string' || !action.command) throw new Error(`${where} action ${i + 1} needs a command`);
+    if (action.args != null && !Array.isArray(action.args)) throw new Error(`${where} action ${i + 1} args must be an array`);
+    return { command: action.command, args: action.args || [] };
+  });
+  if (raw.missed != null && raw.missed !== 'skip' && raw.missed !== 'run') throw new Error(`${where}: missed must be skip or run`);
+  const graceMinutes = raw.graceMinutes != null ? Number(raw.graceMinutes) : 60;
+  if (!Number.isFinite(graceMinutes) || graceMinutes < 0) throw new Error(`${where}: invalid graceMinutes`);
+  return {
+    id: raw.id ? String(raw.id) : crypto.randomBytes(4).toString('hex'),
+    name,
+    zone: raw.zone ? String(raw.zone) : 'default',
+    cron: raw.cron ? String(raw.cron).trim() : null,
+    at: raw.at ? new Date(raw.at).toISOString() : null,
+    actions,
+    enabled: raw.enabled !== false,
+    missed: raw.missed || 'skip',
+    graceMinutes,
+    createdAt: raw.createdAt || new Date().toISOString(),
+    lastRunAt: raw.lastRunAt || null,
+    lastResult: raw.lastResult || null
+  };
+}
+
+class Scheduler extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {string} options.file JSON file the rules are loaded from and saved to
+   * @param {function} options.runAction async (rule, action) => runs one action
+   * @param {function} [options.validate] (rule) => throws if the rule can't run (unknown zone or command)
+   */
+  constructor ({ file, runAction, validate = () => {} }) {
+    super();
+    this.file = file;
+    this.runAction = runAction;
+    this.validate = validate;
+    this.rules = [];
+    this._timer = null;
+    this._running = false;
+    this._busy = new Set();
+    this._nextAt = new Map();
+    this._saving = Promise.resolve();
+  }
+
+  load () {
+    if (!fs.existsSync(this.file)) return;
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.rules = (data.rules || []).map(normalizeRule);
+  }
+
+  /** Write the rules atomically; saves are serialized since rules finish running concurrently. */
+  save () {
+    const write = this._saving.then(async () => {
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify({ rules: this.rules }, null, 2) + '\n');
+      await fs.promises.rename(tmp, this.file);
+    });
+    this._saving = write.catch(() => {});
+    return write;
+  }
+
+  _find (id) {
+    const rule = this.rules.find(r => r.id === String(id));
+    if (!rule) {
+      const err = new Error(`No schedule rule ${id}`);
+      err.status = 404;
+      throw err;
+    }
+    return rule;
+  }
+
+  /** Next run time (ms) of a rule after `after`, or null if it will not run again. */
+  nextRun (rule, after = Date.now()) {
+    if (!rule.enabled) return null;
+    if (rule.at) {
+      const at = Date.parse(rule.at);
+      return at > after ? at : null;
+    }
+    return nextCronTime(parseCron(rule.cron), after);
+  }
+
+  /** { rules (each with nextRunAt), upcoming: next run per enabled rule, soonest first }. */
+  getState () {
+    const now = Date.now();
+    const rules = this.rules.map((rule) => {
+      const next = this.nextRun(rule, now);
+      return { ...rule, nextRunAt: next ? new Date(next).toISOString() : null };
+    });
+    const upcoming = rules
+      .filter(rule => rule.nextRunAt)
+      .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt))
+      .map(rule => ({ id: rule.id, name: rule.name, zone: rule.zone, at: rule.nextRunAt, actions: rule.actions }));
+    return { rules, upcoming };
+  }
+
+  async _changed () {
+    await this.save();
+    this._plan();
+    this.emit('state', this.getState());
+  }
+
+  async add (raw) {
+    const rule = normalizeRule(raw);
+    if (this.rules.some(r => r.id === rule.id)) throw new Error(`Schedule rule ${rule.id} already exists`);
+    this.validate(rule);
+    this.rules.push(rule);
+    await this._changed();
+    return rule;
+  }
+
+  /** Replace a rule's fields (id and run bookkeeping are kept). */
+  async update (id, raw) {
+    const existing = this._find(id);
+    const rule = normalizeRule({ ...existing, ...raw, id: existing.id, createdAt: existing.createdAt });
+    this.validate(rule);
+    this.rules[this.rules.indexOf(existing)] = rule;
+    await this._changed();
+    return rule;
+  }
+
+  async remove (id) {
+    const rule = this._find(id);
+    this.rules.splice(this.rules.indexOf(rule), 1);
+    await this._changed();
+    return rule;
+  }
+
+  /** Run a rule's actions now, whether or not it is due. A one-shot rule stays enabled. */
+  runNow (id) {
+    return this._run(this._find(id), Date.now(), true);
+  }
+
+  async _run (rule, scheduledAt = Date.now(), manual = false) {
+    if (this._busy.has(rule.id)) return;
+    this._busy.add(rule.id);
+    let result = 'ok';
+    try {
+      for (const action of rule.actions) {
+        await this.runAction(rule, action);
+      }
+    } catch (err) {
+      result = err.message;
+      this.emit('error', new Error(`Schedule "${rule.name || rule.id}": ${err.message}`));
+    } finally {
+      this._busy.delete(rule.id);
+    }
+    // The rule may have been edited or removed while it ran
+    const current = this.rules.find(r => r.id === rule.id);
+    if (current) {
+      current.lastRunAt = new Date(scheduledAt).toISOString();
+      current.lastResult = result;
+      if (current.at && !manual) current.enabled = false;
+      await this._changed().catch(err => this.emit('error', err));
+    }
+    return result;
+  }
+
+  /** Handle runs missed while the bridge was not running, then start the timer. */
+  start () {
+    this._running = true;
+    const now = Date.now();
+    for (const rule of this.rules) {
+      if (!rule.enabled) continue;
+      const missed = this._missedRun(rule, Date.parse(rule.lastRunAt || rule.createdAt), now);
+      if (missed == null) continue;
+      const label = `Schedule "${rule.name || rule.id}"`;
+      if (rule.missed === 'run' && now - missed <= rule.graceMinutes * MINUTE_MS) {
+        logger.info(`${label}: running missed ${new Date(missed).toISOString()} run`, { rule: rule.id });
+        this._run(rule, missed);
+      } else {
+        logger.info(`${label}: skipped missed ${new Date(missed).toISOString()} run`, { rule: rule.id });
+        rule.lastRunAt = new Date(missed).toISOString();
+        rule.lastResult = 'missed';
+        if (rule.at) rule.enabled = false;
+      }
+    }
+    this.save().catch(err => this.emit('error', err));
+    this._plan();
+  }
+
+  /** Most recent run time in (since, now], or null if none was due. */
+  _missedRun (rule, since, now) {
+    if (rule.at) {
+      const at = Date.parse(rule.at);
+      return at > since && at <= now ? at : null;
+    }
+    const cron = parseCron(rule.cron);
+    const first = nextCronTime(cron, since);
+    if (first == null || first > now) return null;
+    // Only runs within the grace period can still be made up, so search just that window
+    let last = first;
+    let next = nextCronTime(cron, Math.max(first, now - rule.graceMinutes * MINUTE_MS - MINUTE_MS));
+    while (next != null && next <= now) {
+      last = next;
+      next = nextCronTime(cron, next);
+    }
+    return last;
+  }
+
+  _plan () {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._nextAt.clear();
+    if (!this._running) return;
+    const now = Date.now();
+    let soonest = null;
+    for (const rule of this.rules) {
+      const next = this.nextRun(rule, now);
+      if (next == null) continue;
+      this._nextAt.set(rule.id, next);
+      if (soonest == null || next < soonest) soonest = next;
+    }
+    if (soonest == null) return;
+    this._timer = setTimeout(() => this._tick(), Math.min(MAX_TIMER_MS, Math.max(0, soonest - now)));
+  }
+
+  _tick () {
+    const now = Date.now();
+    for (const rule of this.rules) {
+      const due = this._nextAt.get(rule.id);
+      if (due != null && due <= now) this._run(rule, due);
+    }
+    this._plan();
+  }
+
+  stop () {
+    this._running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { Scheduler, parseCron, nextCronTime, normalizeRule };
@@ -7,24 +7,96 @@
 require('dotenv').config();
 const express = require('express');
 const http = require('http');
+const path = require('path');
+const { EventEmitter } = require('events');
 const { Server } = require('socket.io');
-const { SpotifyWebAPI } = require('./spotify-web-api.js');
+const { WebSocketServer } = require('ws');
+const mqtt = require('mqtt');
+const { createZone, DEFAULT_ZONE, VERSION } = require('./zone.js');
+const { FileTokenStore } = require('./token-store.js');
+const { createOAuthRouter, parseScopes } = require('./oauth.js');
+const { AccessControl } = require('./access-control.js');
+const { HistoryLog, toCsv } = require('./history.js');
+const { Scheduler } = require('./scheduler.js');
+const { Webhooks } = require('./webhooks.js');
+const { OscBridge } = require('./osc.js');
+const { MqttBridge } = require('./mqtt-bridge.js');
+const { Config, zoneEnvPrefix, zoneCredentialsFromEnv } = require('./config.js');
+const { createBridgeMetrics } = require('./metrics.js');
+const { logger, LEVELS } = require('./logger.js');
+
+// In-bridge OAuth (/auth/login): redirect URI defaults to /auth/callback on the requested host
+const OAUTH_REDIRECT_URI = process.env.OAUTH_REDIRECT_URI || null;
+const OAUTH_SCOPES = parseScopes(process.env.OAUTH_SCOPES);
+const OAUTH_FLOW = process.env.OAUTH_FLOW || 'auto';
+// Named zones, e.g. ZONES=lobby,sanctuary; each reads ZONE_<NAME>_SPOTIFY_* env vars
+const ZONES = (process.env.ZONES || '').split(',').map(z => z.trim()).filter(Boolean);
+const ZONE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+// Scheduled actions run as this principal (audited as key "scheduler")
+const SCHEDULER_PRINCIPAL = { name: 'scheduler', role: 'admin', commands: null };
+// Comment line on idle /logs streams so proxies keep them open
+const LOG_HEARTBEAT_MS = 15000;
+
+/** Named zones from ZONES, with their credentials from env; device targets come from the config. */
+function zoneOptionsFromEnv () {
+  const zones = {};
+  for (const name of ZONES) {
+    const prefix = zoneEnvPrefix(name);
+    zones[name] = {
+      credentials: zoneCredentialsFromEnv(prefix),
+      cueListFile: process.env[prefix + 'CUE_LIST_FILE'] || `cues-${name}.json`
+    };
+  }
+  return zones;
+}
 
-const PORT = Number(process.env.PORT) || 8801;
-const POLL_INTERVAL_MS = Number(process.env.POLL_INTERVAL_MS) || 1000;
-const ALLOW_CONTROL = process.env.ALLOW_CONTROL !== 'false' && process.env.ALLOW_CONTROL !== '0';
-const VERSION = '1.0.0-bridge';
-const SPOTIFY_AUTO_TRANSFER_ON_START = process.env.SPOTIFY_AUTO_TRANSFER_ON_START !== 'false' && process.env.SPOTIFY_AUTO_TRANSFER_ON_START !== '0';
+/** OSC settings from env (OSC_PORT, OSC_HOST, OSC_TARGETS, OSC_PREFIX, OSC_ALLOW, OSC_ROLE). */
+function oscOptionsFromEnv () {
+  return {
+    port: Number(process.env.OSC_PORT) || null,
+    host: process.env.OSC_HOST || '0.0.0.0',
+    targets: process.env.OSC_TARGETS || '',
+    prefix: process.env.OSC_PREFIX || '/spotify',
+    allow: (process.env.OSC_ALLOW || '').split(',').map(a => a.trim()).filter(Boolean),
+    role: process.env.OSC_ROLE || 'operator'
+  };
+}
 
-function createServer (options = {}) {
-  const { spotifyClientOverride } = options;
+/** MQTT settings from env (MQTT_URL, MQTT_USERNAME, MQTT_PASSWORD, MQTT_CLIENT_ID, MQTT_PREFIX, MQTT_DISCOVERY, MQTT_DISCOVERY_PREFIX, MQTT_ROLE). */
+function mqttOptionsFromEnv () {
+  const discovery = process.env.MQTT_DISCOVERY !== 'false' && process.env.MQTT_DISCOVERY !== '0';
+  return {
+    url: process.env.MQTT_URL || null,
+    username: process.env.MQTT_USERNAME || undefined,
+    password: process.env.MQTT_PASSWORD || undefined,
+    clientId: process.env.MQTT_CLIENT_ID || undefined,
+    prefix: process.env.MQTT_PREFIX || 'spotify',
+    discoveryPrefix: discovery ? (process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant') : null,
+    role: process.env.MQTT_ROLE || 'operator'
+  };
+}
 
-  let spotify = null;
-  let pollTimer = null;
-  let lastStatePayload = null;
-  let rampingState = false;
-  let rampIntervalId = null;
-  let lastNonZeroVolume = 50;
+function createServer (options = {}) {
+  // Throws at startup when CONFIG_FILE or a setting env var is invalid (see config.js)
+  const config = options.config || Config.fromEnv();
+  const {
+    spotifyClientOverride,
+    cueListFile = config.get('files.cueList'),
+    scheduleFile = config.get('files.schedule'),
+    webhooksFile = config.get('files.webhooks')
+  } = options;
+  const zoneOptions = options.zones || zoneOptionsFromEnv();
+  const tokenStore = options.tokenStore || new FileTokenStore(config.get('files.tokenStore'));
+  const access = options.access || AccessControl.fromEnv();
+  const oscOptions = options.osc || oscOptionsFromEnv();
+  const mqttOptions = options.mqtt || mqttOptionsFromEnv();
+  const history = options.history !== undefined
+    ? options.history
+    : (config.get('history.enabled') ? new HistoryLog({ dir: config.get('history.dir'), retentionDays: config.get('history.retentionDays') }) : null);
+
+  // LOG_LEVEL / LOG_FORMAT, or logging.* in the config file; applied again on reload
+  const configureLogging = () => logger.configure({ level: config.get('logging.level'), format: config.get('logging.format') });
+  configureLogging();
 
   const app = express();
   const server = http.createServer(app);
@@ -33,418 +105,409 @@ function createServer (options = {}) {
     cors: { origin: '*' }
   });
 
-  function mapSpotifyToPlaybackInfo (player) {
-    if (!player || !player.item) {
-      return {
-        name: '',
-        artist: '',
-        album: '',
-        duration: 0,
-        playbackPosition: 0,
-        trackId: '',
-        playerState: 'Stopped',
-        albumArtUrl: '',
-        deviceName: '',
-        deviceIsActive: false
-      };
-    }
-    const item = player.item;
-    const isTrack = item.type === 'track';
-    const name = item.name || '';
-    const artist = isTrack && item.artists && item.artists.length
-      ? item.artists.map(a => a.name).join(', ')
-      : (item.show && item.show.name) || '';
-    const album = isTrack && item.album ? item.album.name : '';
-    const duration = item.duration_ms || 0;
-    const playbackPosition = (player.progress_ms != null ? player.progress_ms : 0) / 1000;
-    const trackId = item.uri || '';
-    let playerState = 'Stopped';
-    if (player.is_playing === true) playerState = 'Playing';
-    else if (player.is_playing === false && (duration > 0 || playbackPosition > 0)) playerState = 'Paused';
-
-    const albumArtUrl = (isTrack && item.album && item.album.images && item.album.images.length && item.album.images[0].url)
-      ? item.album.images[0].url
-      : '';
-    const deviceName = (player.device && player.device.name) ? player.device.name : '';
-    const deviceIsActive = !!(player.device && player.device.is_active);
-
-    return {
-      name,
-      artist,
-      album,
-      duration,
-      playbackPosition,
-      trackId,
-      playerState,
-      albumArtUrl,
-      deviceName,
-      deviceIsActive
-    };
-  }
+  // Prometheus metrics (GET /metrics); zones record Spotify calls, polls and commands into them
+  const metrics = createBridgeMetrics({ zoneHealth: () => [...zones.values()].map(zone => zone.getHealth()) });
+  const startedAt = new Date();
 
-  function mapSpotifyToState (player) {
-    const playbackInfo = mapSpotifyToPlaybackInfo(player);
-    const trackId = playbackInfo.trackId || '';
-    const position = playbackInfo.playbackPosition;
-    let state = 'stopped';
-    if (playbackInfo.playerState === 'Playing') state = 'playing';
-    else if (playbackInfo.playerState === 'Paused') state = 'paused';
-    const volume = (player && player.device && player.device.volume_percent != null)
-      ? player.device.volume_percent
-      : 0;
-    const isRepeating = (player && player.repeat_state && player.repeat_state !== 'off') || false;
-    const isShuffling = (player && player.shuffle_state) || false;
-
-    return {
-      track_id: trackId,
-      volume,
-      position,
-      state,
-      isRepeating,
-      isShuffling
-    };
-  }
+  // Playback events of all zones ('event': { zone, event, at, data }), for webhooks and other integrations
+  const events = new EventEmitter();
 
-  function buildStateChangePayload (player) {
-    const playbackInfo = mapSpotifyToPlaybackInfo(player);
-    const state = mapSpotifyToState(player);
-    return { playbackInfo, state };
-  }
+  // ---- Config reload ----
 
-  function payloadEquals (a, b) {
-    if (!a && !b) return true;
-    if (!a || !b) return false;
-    const s = (x) => JSON.stringify(x);
-    return s(a.playbackInfo) === s(b.playbackInfo) && s(a.state) === s(b.state);
-  }
+  // Zones apply live settings themselves (zone.js); here only logging is
+  const onConfigChange = ({ changed, restartRequired }) => {
+    if (changed.some(key => key.startsWith('logging.'))) configureLogging();
+    logger.info('Config reloaded: ' + changed.join(', '), { changed });
+    if (restartRequired.length) logger.warn('Config: restart to apply ' + restartRequired.join(', '), { restartRequired });
+  };
+  const onConfigError = (err) => logger.error('Config reload failed', { err });
+  config.on('change', onConfigChange);
+  config.on('error', onConfigError);
 
-  function broadcastStateChange (payload) {
-    lastStatePayload = payload;
-    io.emit('state_change', payload);
-  }
+  // ---- Webhooks ----
 
-  async function pollPlaybackState () {
-    if (!spotify) return;
-    try {
-      const player = await spotify.getPlaybackState();
-      const payload = buildStateChangePayload(player);
-      if (payload.state && payload.state.volume > 0) {
-        lastNonZeroVolume = payload.state.volume;
-      }
-      if (!payloadEquals(payload, lastStatePayload)) {
-        broadcastStateChange(payload);
-      }
-    } catch (err) {
-      if (err.message && !err.message.includes('No active device')) {
-        console.error('Poll error:', err.message);
-      }
-    }
+  const webhooks = new Webhooks({ file: path.resolve(webhooksFile) });
+  try {
+    webhooks.load();
+  } catch (e) {
+    logger.error('Webhooks load failed', { err: e });
   }
-
-  function startPolling () {
-    if (pollTimer) clearInterval(pollTimer);
-    pollTimer = setInterval(pollPlaybackState, POLL_INTERVAL_MS);
-    pollPlaybackState();
+  events.on('event', (event) => webhooks.handle(event));
+
+  // ---- OSC ----
+
+  // OSC has no API keys: its commands run as this principal (audited as key "osc")
+  const oscPrincipal = { name: 'osc', role: oscOptions.role || 'operator', commands: null };
+  const osc = new OscBridge({
+    ...oscOptions,
+    runCommand: (zoneName, command, args, source) => {
+      const zone = zones.get(zoneName);
+      if (!zone) throw new Error(`Unknown zone: ${zoneName}`);
+      return zone.runCommand(command, args, { principal: oscPrincipal, via: 'osc', from: source.address });
+    },
+    getStates: () => [...zones.values()].map(zone => ({ name: zone.name, payload: zone.getLastStatePayload() }))
+  });
+  osc.on('error', (err) => logger.error('OSC error', { err }));
+  events.on('state', ({ zone, payload }) => osc.publish(zone, payload));
+
+  // ---- MQTT ----
+
+  let mqttBridge = null;
+  if (mqttOptions.client || mqttOptions.url) {
+    const prefix = mqttOptions.prefix || 'spotify';
+    // Connects in start(); offline is retained as last will, so subscribers see a bridge that died
+    const client = mqttOptions.client || mqtt.connect(mqttOptions.url, {
+      username: mqttOptions.username,
+      password: mqttOptions.password,
+      clientId: mqttOptions.clientId,
+      reconnectPeriod: 5000,
+      manualConnect: true,
+      will: { topic: MqttBridge.availabilityTopic(prefix), payload: 'offline', retain: true, qos: 0 }
+    });
+    client.on('error', (err) => logger.error('MQTT connection error', { err }));
+    // Like OSC, MQTT commands run as their own principal (audited as key "mqtt")
+    const mqttPrincipal = { name: 'mqtt', role: mqttOptions.role || 'operator', commands: null };
+    mqttBridge = new MqttBridge({
+      client,
+      prefix,
+      discoveryPrefix: mqttOptions.discoveryPrefix !== undefined ? mqttOptions.discoveryPrefix : 'homeassistant',
+      runCommand: (zoneName, command, args) => {
+        const zone = zones.get(zoneName);
+        if (!zone) throw new Error(`Unknown zone: ${zoneName}`);
+        return zone.runCommand(command, args, { principal: mqttPrincipal, via: 'mqtt' });
+      },
+      getStates: () => [...zones.values()].map(zone => ({ name: zone.name, payload: zone.getLastStatePayload() }))
+    });
+    mqttBridge.on('error', (err) => logger.error('MQTT error', { err }));
+    events.on('state', ({ zone, payload }) => mqttBridge.publish(zone, payload));
   }
 
-  function stopPolling () {
-    if (pollTimer) {
-      clearInterval(pollTimer);
-      pollTimer = null;
+  // Zones keep polling without Socket.io clients while a webhook, OSC target or MQTT broker waits for state
+  const watched = () => webhooks.active || osc.publishing || !!mqttBridge;
+
+  const zones = new Map();
+  zones.set(DEFAULT_ZONE, createZone({
+    name: DEFAULT_ZONE,
+    nsp: io.of('/'),
+    credentials: zoneCredentialsFromEnv(''),
+    spotifyClientOverride,
+    cueListFile,
+    tokenStore,
+    access,
+    history,
+    events,
+    metrics,
+    watched,
+    config
+  }));
+  for (const [name, zoneOpts] of Object.entries(zoneOptions)) {
+    if (!ZONE_NAME_PATTERN.test(name) || name === DEFAULT_ZONE) {
+      throw new Error(`Invalid zone name: ${name}`);
     }
+    const zone = createZone({
+      name,
+      nsp: io.of(`/zone/${name}`),
+      envPrefix: zoneEnvPrefix(name),
+      credentials: {},
+      cueListFile: `cues-${name}.json`,
+      tokenStore,
+      access,
+      history,
+      events,
+      metrics,
+      watched,
+      config,
+      ...zoneOpts
+    });
+    zones.set(name, zone);
   }
 
-  async function ensureDeviceAndTransfer () {
-    const deviceId = process.env.SPOTIFY_DEVICE_ID;
-    const deviceName = process.env.SPOTIFY_DEVICE_NAME;
-    if (!spotify || (!deviceId && !deviceName)) return;
-    try {
-      const devices = await spotify.getDevices();
-      let target = deviceId ? devices.find(d => d.id === deviceId) : null;
-      if (!target && deviceName) {
-        target = devices.find(d => (d.name || '').toLowerCase() === String(deviceName).toLowerCase());
+  // ---- Scheduler ----
+
+  const scheduler = new Scheduler({
+    file: path.resolve(scheduleFile),
+    runAction: (rule, action) => {
+      const zone = zones.get(rule.zone);
+      if (!zone) throw new Error(`Unknown zone: ${rule.zone}`);
+      return zone.runCommand(action.command, action.args, { principal: SCHEDULER_PRINCIPAL, via: 'schedule', rule: rule.id });
+    },
+    validate: (rule) => {
+      const zone = zones.get(rule.zone);
+      if (!zone) throw new Error(`Unknown zone: ${rule.zone}`);
+      for (const action of rule.actions) {
+        if (!zone.resolveCommand(action.command)) throw new Error(`Unknown command: ${action.command}`);
       }
-      if (target) {
-        spotify.deviceId = target.id;
-        console.log('Using device: ' + (target.name || 'Unknown') + ' (' + target.id + ')');
-        if (SPOTIFY_AUTO_TRANSFER_ON_START) {
-          await spotify.transferPlayback(target.id, false);
-        }
-      }
-    } catch (e) {
-      console.error('Transfer on start:', e.message);
     }
+  });
+  try {
+    scheduler.load();
+  } catch (e) {
+    logger.error('Schedule load failed', { err: e });
   }
+  scheduler.on('state', (state) => {
+    for (const zone of zones.values()) zone.nsp.emit('schedule_state', state);
+  });
+  scheduler.on('error', (err) => logger.error('Schedule error', { err }));
 
-  function initSpotify () {
-    const hasCreds = process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET && process.env.SPOTIFY_REFRESH_TOKEN;
-    if (!hasCreds) {
-      console.warn('Spotify credentials missing (SPOTIFY_CLIENT_ID, SPOTIFY_CLIENT_SECRET, SPOTIFY_REFRESH_TOKEN). State polling disabled.');
-      return;
-    }
-    spotify = new SpotifyWebAPI({
-      clientId: process.env.SPOTIFY_CLIENT_ID,
-      clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-      refreshToken: process.env.SPOTIFY_REFRESH_TOKEN,
-      deviceId: process.env.SPOTIFY_DEVICE_ID || null,
-      deviceName: process.env.SPOTIFY_DEVICE_NAME || null
-    });
-    startPolling();
-    ensureDeviceAndTransfer().catch(() => {});
+  /** Audit and history entry for a configuration change made over REST or Socket.io. */
+  function recordAdmin (principal, command, details) {
+    const entry = access.audit(principal, command, details);
+    if (history) history.recordCommand(entry);
   }
 
-  function rampVolume (targetVolume, changePercent, rampTimeSeconds, done) {
-    if (rampIntervalId) {
-      clearInterval(rampIntervalId);
-      rampIntervalId = null;
+  // Schedule edits over Socket.io (admin only); replies go to the acknowledgement callback as (error, result)
+  const SCHEDULE_COMMANDS = {
+    scheduleAdd: (rule) => scheduler.add(rule),
+    scheduleUpdate: (id, rule) => scheduler.update(id, rule),
+    scheduleRemove: (id) => scheduler.remove(id),
+    scheduleRun: (id) => {
+      scheduler.runNow(id).catch(() => {});
+      return null;
     }
-    const currentPayload = lastStatePayload;
-    const startVolume = (currentPayload && currentPayload.state && currentPayload.state.volume != null) ? currentPayload.state.volume : 0;
-    const target = Math.max(0, Math.min(100, Math.round(Number(targetVolume) || 0)));
-    const changePerStep = Math.max(1, Math.round(Number(changePercent) || 1));
-    const steps = Math.ceil(Math.abs(target - startVolume) / changePerStep) || 1;
-    const rampTimeMs = (Number(rampTimeSeconds) || 1) * 1000;
-    const stepDelayMs = Math.max(100, Math.floor(rampTimeMs / steps));
-
-    rampingState = true;
-    io.emit('ramping_state', true);
-
-    let step = 0;
-
-    const tick = async () => {
-      const volume = Math.max(0, Math.min(100, Math.round(startVolume + (target - startVolume) * (step / steps))));
-      if (spotify && ALLOW_CONTROL) {
-        try {
-          await spotify.setVolume(volume);
-        } catch (e) {
-          console.error('Ramp setVolume:', e.message);
-        }
-      }
-      if (step >= steps) {
-        rampIntervalId = null;
-        rampingState = false;
-        io.emit('ramping_state', false);
-        pollPlaybackState();
-        if (typeof done === 'function') done();
-        return;
+  };
+  for (const zone of zones.values()) {
+    zone.nsp.on('connection', (socket) => {
+      const principal = socket.data.principal;
+      socket.emit('schedule_state', scheduler.getState());
+      socket.on('schedule', () => socket.emit('schedule_state', scheduler.getState()));
+      for (const [command, fn] of Object.entries(SCHEDULE_COMMANDS)) {
+        socket.on(command, (...args) => {
+          const ack = typeof args[args.length - 1] === 'function' ? args.pop() : () => {};
+          if (!access.can(principal, command, 'admin')) {
+            socket.emit('command_denied', { command, role: principal.role });
+            return ack(`Not permitted: ${command}`);
+          }
+          recordAdmin(principal, command, { zone: zone.name, args, via: 'socket', socketId: socket.id, ip: socket.handshake.address });
+          Promise.resolve()
+            .then(() => fn(...args))
+            .then(result => ack(null, result), err => ack(err.message));
+        });
       }
-      step++;
-    };
-
-    rampIntervalId = setInterval(tick, stepDelayMs);
-    tick();
+    });
   }
 
   // ---- Static UI ----
 
   app.use(express.static('public'));
-  app.get('/ui', (req, res) => res.redirect('/ui.html'));
-
-  // ---- REST GET endpoints (match spotify-controller) ----
+  // Short page URLs; ?key=, ?zone= and the overlay options are kept
+  for (const page of ['ui', 'overlay']) {
+    app.get(`/${page}`, (req, res) => {
+      const query = req.originalUrl.indexOf('?');
+      res.redirect(`/${page}.html` + (query === -1 ? '' : req.originalUrl.slice(query)));
+    });
+  }
 
-  app.get('/version', (req, res) => {
-    res.send(VERSION);
+  // ---- Health, readiness and metrics (no key, for load balancers, orchestrators and Prometheus) ----
+
+  // Liveness: always 200 while the process answers; the zone checks are for humans and dashboards
+  app.get('/health', (req, res) => {
+    const health = [...zones.values()].map(zone => zone.getHealth());
+    res.json({
+      status: health.every(zone => zone.ready) ? 'ok' : 'degraded',
+      version: VERSION,
+      startedAt: startedAt.toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      zones: Object.fromEntries(health.map(({ zone, ...rest }) => [zone, rest]))
+    });
   });
-
-  app.get('/control_status', (req, res) => {
-    res.send(ALLOW_CONTROL ? 'true' : 'false');
+  // Readiness: 503 until every zone passes its checks (see getHealth() in zone.js)
+  app.get('/ready', (req, res) => {
+    const health = [...zones.values()].map(zone => zone.getHealth());
+    const ready = health.every(zone => zone.ready);
+    res.status(ready ? 200 : 503).json({
+      ready,
+      zones: Object.fromEntries(health.map(zone => [zone.zone, {
+        ready: zone.ready,
+        failing: Object.keys(zone.checks).filter(check => !zone.checks[check].ok)
+      }]))
+    });
   });
 
-  app.get('/state', async (req, res) => {
-    try {
-      if (!spotify) {
-        return res.json({ playbackInfo: mapSpotifyToPlaybackInfo(null), state: mapSpotifyToState(null) });
-      }
-      const player = await spotify.getPlaybackState();
-      res.json(buildStateChangePayload(player));
-    } catch (e) {
-      res.status(500).json({ error: e.message });
-    }
+  app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
   });
 
-  function restControl (req, res, fn) {
-    if (!ALLOW_CONTROL) return res.status(403).send('Control disabled');
-    if (!spotify) return res.status(503).send('Spotify not configured');
-    Promise.resolve(fn()).then(() => res.send('OK')).catch(err => res.status(500).send(err.message));
-  }
-
-  app.get('/play', (req, res) => restControl(req, res, () => spotify.play()));
-  app.get('/pause', (req, res) => restControl(req, res, () => spotify.pause()));
-  app.get('/playToggle', async (req, res) => {
-    if (!ALLOW_CONTROL || !spotify) {
-      return res.status(ALLOW_CONTROL ? 503 : 403).send(ALLOW_CONTROL ? 'Spotify not configured' : 'Control disabled');
-    }
-    try {
-      const player = await spotify.getPlaybackState();
-      if (player && player.is_playing) await spotify.pause();
-      else await spotify.play();
-      res.send('OK');
-    } catch (e) {
-      res.status(500).send(e.message);
-    }
+  const oauthRouter = createOAuthRouter({
+    getZone: (name) => zones.get(name),
+    redirectUri: OAUTH_REDIRECT_URI,
+    scopes: OAUTH_SCOPES,
+    flow: OAUTH_FLOW
   });
-  app.get('/next', (req, res) => restControl(req, res, () => spotify.next()));
-  app.get('/previous', (req, res) => restControl(req, res, () => spotify.previous()));
+  // Spotify's redirect carries no key; the state cookie set by the admin's /auth/login stands in for it
+  app.get('/auth/callback', oauthRouter);
 
-  app.get('/playTrack/:track', (req, res) => {
-    restControl(req, res, () => spotify.playTrack(req.params.track));
-  });
+  // Everything below needs a key unless anonymous access is allowed (see access-control.js)
+  app.use(access.authenticateRequest());
 
-  app.get('/playTrackInContext/:track/:context', (req, res) => {
-    restControl(req, res, () => spotify.playTrackInContext(req.params.track, req.params.context));
-  });
+  app.get('/auth/login', access.requireRole('admin'), oauthRouter);
 
-  app.get('/movePlayerPosition/:seconds', (req, res) => {
-    if (!ALLOW_CONTROL || !spotify) {
-      return res.status(ALLOW_CONTROL ? 503 : 403).send(ALLOW_CONTROL ? 'Spotify not configured' : 'Control disabled');
-    }
-    const currentPayload = lastStatePayload;
-    const currentPos = (currentPayload && currentPayload.state && currentPayload.state.position != null) ? currentPayload.state.position : 0;
-    const delta = Number(req.params.seconds) || 0;
-    const positionMs = Math.max(0, (currentPos + delta) * 1000);
-    restControl(req, res, () => spotify.seek(positionMs));
+  app.get('/zones', (req, res) => {
+    res.json([...zones.values()].map(zone => ({
+      name: zone.name,
+      path: zone.name === DEFAULT_ZONE ? '/' : `/zone/${zone.name}`,
+      namespace: zone.nsp.name,
+      configured: !!zone.getSpotify()
+    })));
   });
 
-  app.get('/setPlayerPosition/:seconds', (req, res) => {
-    const sec = Math.max(0, Number(req.params.seconds) || 0);
-    restControl(req, res, () => spotify.seek(sec * 1000));
+  app.get('/audit', access.requireRole('admin'), (req, res) => {
+    res.json(access.getAudit(Number(req.query.limit) || undefined));
   });
 
-  app.get('/volumeUp', (req, res) => {
-    if (!ALLOW_CONTROL || !spotify) {
-      return res.status(ALLOW_CONTROL ? 503 : 403).send(ALLOW_CONTROL ? 'Spotify not configured' : 'Control disabled');
+  // Track history is open to viewers; the command log (who pressed what) needs admin
+  async function queryHistory (req, res, type = req.query.type) {
+    if (!history) {
+      res.status(404).send('History disabled');
+      return null;
     }
-    if (rampingState) return res.status(409).send('Volume ramping in progress');
-    const currentPayload = lastStatePayload;
-    const v = (currentPayload && currentPayload.state && currentPayload.state.volume != null) ? currentPayload.state.volume : 50;
-    restControl(req, res, () => spotify.setVolume(Math.min(100, v + 10)));
-  });
-
-  app.get('/volumeDown', (req, res) => {
-    if (!ALLOW_CONTROL || !spotify) {
-      return res.status(ALLOW_CONTROL ? 503 : 403).send(ALLOW_CONTROL ? 'Spotify not configured' : 'Control disabled');
+    if (type && type !== 'track' && type !== 'command') {
+      res.status(400).send('type must be track or command');
+      return null;
     }
-    if (rampingState) return res.status(409).send('Volume ramping in progress');
-    const currentPayload = lastStatePayload;
-    const v = (currentPayload && currentPayload.state && currentPayload.state.volume != null) ? currentPayload.state.volume : 50;
-    restControl(req, res, () => spotify.setVolume(Math.max(0, v - 10)));
-  });
+    const isAdmin = access.can(req.principal, null, 'admin');
+    if (type === 'command' && !isAdmin) {
+      res.status(403).send('Requires admin role');
+      return null;
+    }
+    try {
+      return await history.query({
+        from: req.query.from,
+        to: req.query.to,
+        type: type || (isAdmin ? null : 'track'),
+        zone: req.query.zone,
+        limit: Number(req.query.limit) || undefined
+      });
+    } catch (err) {
+      res.status(400).send(err.message);
+      return null;
+    }
+  }
 
-  app.get('/setVolume/:volume', (req, res) => {
-    if (rampingState) return res.status(409).send('Volume ramping in progress');
-    const vol = Math.max(0, Math.min(100, Math.round(Number(req.params.volume) || 0)));
-    restControl(req, res, () => spotify.setVolume(vol));
+  app.get('/history', async (req, res) => {
+    const records = await queryHistory(req, res);
+    if (records) res.json(records);
   });
-
-  app.get('/rampVolume/:volume/:changePercent/:rampTime', (req, res) => {
-    if (!ALLOW_CONTROL || !spotify) {
-      return res.status(ALLOW_CONTROL ? 503 : 403).send(ALLOW_CONTROL ? 'Spotify not configured' : 'Control disabled');
-    }
-    const target = Number(req.params.volume) || 0;
-    const changePercent = Number(req.params.changePercent) || 0;
-    const rampTime = Number(req.params.rampTime) || 1;
-    rampVolume(target, changePercent, rampTime, () => {});
-    res.send('OK');
+  app.get('/history.csv', async (req, res) => {
+    const type = req.query.type || 'track';
+    const records = await queryHistory(req, res, type);
+    if (!records) return;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${type === 'command' ? 'commands' : 'tracks'}.csv"`);
+    res.send(toCsv(records, type));
   });
 
-  app.get('/mute', (req, res) => {
-    if (rampingState) return res.status(409).send('Volume ramping in progress');
-    return restControl(req, res, () => spotify.setVolume(0));
-  });
-  app.get('/unmute', (req, res) => {
-    if (rampingState) return res.status(409).send('Volume ramping in progress');
-    return restControl(req, res, () => spotify.setVolume(lastNonZeroVolume || 50));
+  app.get('/schedule', (req, res) => {
+    res.json(scheduler.getState());
   });
-  app.get('/repeatOn', (req, res) => restControl(req, res, () => spotify.setRepeat('context')));
-  app.get('/repeatOff', (req, res) => restControl(req, res, () => spotify.setRepeat('off')));
-  app.get('/shuffleOn', (req, res) => restControl(req, res, () => spotify.setShuffle(true)));
-  app.get('/shuffleOff', (req, res) => restControl(req, res, () => spotify.setShuffle(false)));
-
-  // ---- Socket.io ----
-
-  io.on('connection', (socket) => {
-    socket.emit('version', VERSION);
-    socket.emit('control_status', ALLOW_CONTROL);
-    if (lastStatePayload) socket.emit('state_change', lastStatePayload);
-    socket.emit('ramping_state', rampingState);
-
-    socket.on('version', () => socket.emit('version', VERSION));
-    socket.on('control_status', () => socket.emit('control_status', ALLOW_CONTROL));
-    socket.on('state', () => {
-      if (lastStatePayload) socket.emit('state_change', lastStatePayload);
-      else pollPlaybackState();
-    });
 
-    socket.on('play', () => ALLOW_CONTROL && spotify && spotify.play().catch(e => console.error(e.message)));
-    socket.on('pause', () => ALLOW_CONTROL && spotify && spotify.pause().catch(e => console.error(e.message)));
-    socket.on('playToggle', async () => {
-      if (!ALLOW_CONTROL || !spotify) return;
-      try {
-        const player = await spotify.getPlaybackState();
-        if (player && player.is_playing) await spotify.pause();
-        else await spotify.play();
-      } catch (e) { console.error(e.message); }
-    });
-    socket.on('next', () => ALLOW_CONTROL && spotify && spotify.next().catch(e => console.error(e.message)));
-    socket.on('previous', () => ALLOW_CONTROL && spotify && spotify.previous().catch(e => console.error(e.message)));
-
-    socket.on('movePlayerPosition', (seconds) => {
-      if (!ALLOW_CONTROL || !spotify) return;
-      const currentPos = (lastStatePayload && lastStatePayload.state && lastStatePayload.state.position != null) ? lastStatePayload.state.position : 0;
-      const delta = Number(seconds) || 0;
-      const positionMs = Math.max(0, (currentPos + delta) * 1000);
-      spotify.seek(positionMs).catch(e => console.error(e.message));
-    });
-    socket.on('setPlayerPosition', (seconds) => {
-      if (!ALLOW_CONTROL || !spotify) return;
-      const sec = Math.max(0, Number(seconds) || 0);
-      spotify.seek(sec * 1000).catch(e => console.error(e.message));
+  const jsonAdmin = [access.requireRole('admin'), express.json({ limit: '1mb' })];
+  /** Admin configuration route: audited, JSON result, errors as 400 unless they carry a status. */
+  function adminRoute (command, fn, status = 200) {
+    return (req, res) => {
+      recordAdmin(req.principal, command, { via: 'rest', ip: req.ip });
+      Promise.resolve()
+        .then(() => fn(req))
+        .then(result => res.status(status).json(result))
+        .catch(err => res.status(err.status || 400).send(err.message));
+    };
+  }
+  app.post('/schedule', jsonAdmin, adminRoute('scheduleAdd', req => scheduler.add(req.body), 201));
+  app.put('/schedule/:id', jsonAdmin, adminRoute('scheduleUpdate', req => scheduler.update(req.params.id, req.body)));
+  app.delete('/schedule/:id', jsonAdmin, adminRoute('scheduleRemove', req => scheduler.remove(req.params.id)));
+  // Responds once the run has started; the outcome shows up as lastResult in schedule_state
+  app.post('/schedule/:id/run', jsonAdmin, adminRoute('scheduleRun', (req) => {
+    scheduler.runNow(req.params.id).catch(() => {});
+    return { started: req.params.id };
+  }, 202));
+
+  // ---- Log feed (GET /logs, admin) ----
+
+  // Open /logs streams, ended in stop() so server.close() doesn't wait for them
+  const logStreams = new Set();
+  /**
+   * Server-sent events: the recent entries, then each new one, as 'log' events. Secrets are
+   * already redacted (logger.js). ?level= sets the minimum level (default debug), ?limit= the
+   * number of recent entries.
+   */
+  app.get('/logs', access.requireRole('admin'), (req, res) => {
+    const level = LEVELS[req.query.level] ? req.query.level : 'debug';
+    const limit = req.query.limit !== undefined ? Math.max(0, Number(req.query.limit) || 0) : 100;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
     });
-
-    socket.on('playtrack', (trackUriOrId) => ALLOW_CONTROL && spotify && spotify.playTrack(trackUriOrId).catch(e => console.error(e.message)));
-    socket.on('playtrackincontext', (trackUriOrId, contextUriOrId) => {
-      if (!ALLOW_CONTROL || !spotify) return;
-      spotify.playTrackInContext(trackUriOrId, contextUriOrId).catch(e => console.error(e.message));
+    res.write('retry: 3000\n\n');
+    const send = (entry) => res.write(`event: log\ndata: ${JSON.stringify(entry)}\n\n`);
+    logger.getRecent({ level, limit }).forEach(send);
+    const onEntry = (entry) => {
+      if (LEVELS[entry.level] >= LEVELS[level]) send(entry);
+    };
+    logger.sink.on('entry', onEntry);
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), LOG_HEARTBEAT_MS);
+    logStreams.add(res);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      logger.sink.removeListener('entry', onEntry);
+      logStreams.delete(res);
     });
+  });
 
-    socket.on('volumeUp', () => {
-      if (rampingState || !ALLOW_CONTROL || !spotify) return;
-      const v = (lastStatePayload && lastStatePayload.state && lastStatePayload.state.volume != null) ? lastStatePayload.state.volume : 50;
-      spotify.setVolume(Math.min(100, v + 10)).catch(e => console.error(e.message));
-    });
-    socket.on('volumeDown', () => {
-      if (rampingState || !ALLOW_CONTROL || !spotify) return;
-      const v = (lastStatePayload && lastStatePayload.state && lastStatePayload.state.volume != null) ? lastStatePayload.state.volume : 50;
-      spotify.setVolume(Math.max(0, v - 10)).catch(e => console.error(e.message));
-    });
-    socket.on('setVolume', (volume0to100) => {
-      if (rampingState || !ALLOW_CONTROL || !spotify) return;
-      const v = Math.max(0, Math.min(100, Number(volume0to100) || 0));
-      spotify.setVolume(v).catch(e => console.error(e.message));
-    });
-    socket.on('rampVolume', (targetVolume, changePercent, rampTimeSeconds) => {
-      if (!ALLOW_CONTROL || !spotify) return;
-      rampVolume(targetVolume, changePercent, rampTimeSeconds);
-    });
+  app.get('/config', access.requireRole('admin'), (req, res) => {
+    res.json(config.toJSON());
+  });
+  // An invalid file is rejected with its errors (400) and the current settings stay
+  app.post('/config/reload', jsonAdmin, adminRoute('configReload', () => config.reload()));
 
-    socket.on('mute', () => !rampingState && ALLOW_CONTROL && spotify && spotify.setVolume(0).catch(e => console.error(e.message)));
-    socket.on('unmute', () => !rampingState && ALLOW_CONTROL && spotify && spotify.setVolume(lastNonZeroVolume || 50).catch(e => console.error(e.message)));
-    socket.on('repeatOn', () => ALLOW_CONTROL && spotify && spotify.setRepeat('context').catch(e => console.error(e.message)));
-    socket.on('repeatOff', () => ALLOW_CONTROL && spotify && spotify.setRepeat('off').catch(e => console.error(e.message)));
-    socket.on('shuffleOn', () => ALLOW_CONTROL && spotify && spotify.setShuffle(true).catch(e => console.error(e.message)));
-    socket.on('shuffleOff', () => ALLOW_CONTROL && spotify && spotify.setShuffle(false).catch(e => console.error(e.message)));
+  app.get('/webhooks', access.requireRole('admin'), (req, res) => {
+    res.json(webhooks.list());
+  });
+  /** After a hook is added or enabled, idle zones poll now so its first events are not a minute late. */
+  async function changeWebhooks (change) {
+    const result = await change();
+    if (webhooks.active) for (const zone of zones.values()) zone.wake();
+    return result;
+  }
+  app.post('/webhooks', jsonAdmin, adminRoute('webhookAdd', req => changeWebhooks(() => webhooks.add(req.body)), 201));
+  app.put('/webhooks/:id', jsonAdmin, adminRoute('webhookUpdate', req => changeWebhooks(() => webhooks.update(req.params.id, req.body))));
+  app.delete('/webhooks/:id', jsonAdmin, adminRoute('webhookRemove', req => webhooks.remove(req.params.id)));
+  // Waits for the delivery and returns its outcome
+  app.post('/webhooks/:id/test', jsonAdmin, adminRoute('webhookTest', req => webhooks.test(req.params.id)));
+
+  for (const zone of zones.values()) {
+    if (zone.name !== DEFAULT_ZONE) app.use(`/zone/${zone.name}`, zone.router);
+  }
+  // Root zone last so /zone/... never falls through to it
+  app.use(zones.get(DEFAULT_ZONE).router);
+
+  // ---- Plain WebSocket (/ws, /zone/<name>/ws) ----
+
+  // Socket.io handles its own upgrades (/socket.io/) and leaves other paths to this one
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(/^(?:\/zone\/([^/]+))?\/ws\/?$/);
+    if (!match) return;
+    const reject = (status, text) => {
+      socket.end(`HTTP/1.1 ${status} ${text}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+    };
+    const zone = zones.get(match[1] || DEFAULT_ZONE);
+    if (!zone) return reject(404, 'Not Found');
+    const principal = access.authenticate(AccessControl.keyFromRequest({ headers: req.headers, query: Object.fromEntries(url.searchParams) }));
+    if (!principal) return reject(401, 'Unauthorized');
+    wss.handleUpgrade(req, socket, head, (ws) => zone.handleWebSocket(ws, principal));
   });
 
   // ---- start / stop ----
 
-  function start (port = PORT) {
-    if (spotifyClientOverride) {
-      spotify = spotifyClientOverride;
-      startPolling();
-      ensureDeviceAndTransfer().catch(() => {});
-    } else {
-      initSpotify();
-    }
+  async function start (port = config.get('port')) {
+    await Promise.all([...zones.values()].map(zone => zone.start()));
+    scheduler.start();
+    config.watch();
+    await osc.start();
+    if (mqttBridge && !mqttOptions.client) mqttBridge.client.connect();
     return new Promise((resolve, reject) => {
       const onError = (err) => {
         server.removeListener('listening', onListening);
@@ -452,7 +515,7 @@ function createServer (options = {}) {
       };
       const onListening = () => {
         server.removeListener('error', onError);
-        console.log(`spotify-controller-bridge listening on port ${port} (HTTP + Socket.io)`);
+        logger.info(`spotify-controller-bridge listening on port ${port} (HTTP + Socket.io)`, { port });
         resolve();
       };
       server.once('error', onError);
@@ -462,29 +525,46 @@ function createServer (options = {}) {
   }
 
   function stop () {
-    stopPolling();
-    if (rampIntervalId) {
-      clearInterval(rampIntervalId);
-      rampIntervalId = null;
-    }
-    rampingState = false;
+    config.stop();
+    config.removeListener('change', onConfigChange);
+    config.removeListener('error', onConfigError);
+    scheduler.stop();
+    webhooks.stop();
+    osc.stop();
+    if (mqttBridge) mqttBridge.stop();
+    for (const zone of zones.values()) zone.stop();
+    for (const res of logStreams) res.end();
     return new Promise((resolve) => {
       server.close(() => resolve());
-    });
+    }).then(() => history && history.flush());
   }
 
-  return { app, server, io, start, stop };
+  return { app, server, io, zones, history, scheduler, webhooks, osc, mqtt: mqttBridge, events, config, metrics, start, stop };
 }
 
 module.exports = { createServer };
 
 if (require.main === module) {
-  const s = createServer();
-  s.start(PORT).then(() => {}).catch((err) => {
-    console.error(err);
+  let s;
+  try {
+    s = createServer();
+  } catch (err) {
+    // Config errors list every problem; a stack trace would only hide them
+    logger.error(err.message);
+    process.exit(1);
+  }
+  s.start().then(() => {}).catch((err) => {
+    logger.error('Startup failed: ' + err.message, { err });
     process.exit(1);
   });
   process.on('SIGINT', () => {
     s.stop().then(() => process.exit(0));
   });
+  process.on('SIGHUP', () => {
+    try {
+      s.config.reload();
+    } catch (err) {
+      logger.error(err.message);
+    }
+  });
 }
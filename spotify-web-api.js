@@ -1,20 +1,86 @@
 /**
  * Spotify Web API wrapper using Refresh Token.
  * Node 18+ with global fetch. No external HTTP client.
+ *
+ * Requests go through a small scheduler: control commands are sent before
+ * background (polling) requests, 429 responses pause the whole queue for the
+ * Retry-After period, and 5xx/network failures are retried with jittered
+ * exponential backoff. Emits 'throttle' with getThrottleStatus() whenever the
+ * client enters or leaves a rate-limited period.
+ *
+ * With options.tokenStore (see token-store.js) the refresh token is read from the store
+ * and rotated tokens returned by Spotify are written back. Emits 'auth_status' with
+ * getAuthStatus() when the token becomes usable, missing or revoked.
+ *
+ * Emits 'request' ({ method, url, status, durationMs }) after every HTTP exchange, token
+ * refreshes and retries included; status is 'network' when no response arrived.
+ *
+ * Tokens from the PKCE flow (options.authFlow 'pkce', or no client secret) are refreshed
+ * with client_id in the body instead of HTTP Basic client authentication.
  */
 
+const { EventEmitter } = require('events');
+const { logger } = require('./logger.js');
+const { endpointOf } = require('./metrics.js');
+
 const SPOTIFY_API_BASE = 'https://api.spotify.com/v1';
 const SPOTIFY_ACCOUNTS_BASE = 'https://accounts.spotify.com/api/token';
 
-class SpotifyWebAPI {
+const PRIORITY_CONTROL = 'control';
+const PRIORITY_BACKGROUND = 'background';
+const DEFAULT_RETRY_AFTER_MS = 5000;
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+
+/** Parse a Retry-After header (delta seconds or HTTP date) into milliseconds. */
+function parseRetryAfter (value) {
+  if (value == null || value === '') return DEFAULT_RETRY_AFTER_MS;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) return Math.max(0, date - Date.now());
+  return DEFAULT_RETRY_AFTER_MS;
+}
+
+/** Exponential backoff with equal jitter: half fixed, half random. */
+function backoffDelay (attempt) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** Math.max(0, attempt - 1));
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function isTransient (err) {
+  return err.network === true || (err.status >= 500 && err.status <= 599);
+}
+
+class SpotifyWebAPI extends EventEmitter {
   constructor (options = {}) {
+    super();
     this.clientId = options.clientId || process.env.SPOTIFY_CLIENT_ID;
     this.clientSecret = options.clientSecret || process.env.SPOTIFY_CLIENT_SECRET;
     this.refreshToken = options.refreshToken || process.env.SPOTIFY_REFRESH_TOKEN;
     this.deviceId = options.deviceId || process.env.SPOTIFY_DEVICE_ID || null;
     this.deviceName = options.deviceName || process.env.SPOTIFY_DEVICE_NAME || null;
+    // Child of logger.js's logger, e.g. with the zone as context
+    this.log = options.logger || logger;
     this.accessToken = null;
     this.tokenExpiresAt = 0;
+    this.tokenStore = options.tokenStore || null;
+    this.tokenKey = options.tokenKey || 'default';
+    this.authFlow = options.authFlow || (this.clientSecret ? 'secret' : 'pkce');
+    this.authStatus = { status: 'unknown', message: '', updatedAt: null };
+    this._tokenRefresh = null;
+    this._storeChecked = false;
+    this._revokedToken = null;
+
+    this.maxConcurrent = options.maxConcurrent || 4;
+    this.maxRetries = options.maxRetries != null ? options.maxRetries : 3;
+    // Control commands fail fast instead of waiting out a Retry-After longer than this
+    this.maxControlWaitMs = options.maxControlWaitMs != null ? options.maxControlWaitMs : 10000;
+    this._queues = { [PRIORITY_CONTROL]: [], [PRIORITY_BACKGROUND]: [] };
+    this._active = 0;
+    this._throttledUntil = 0;
+    this._throttleTimer = null;
+    this._lastRateLimitAt = 0;
   }
 
   _basicAuth () {
@@ -22,33 +88,223 @@ class SpotifyWebAPI {
     return `Basic ${encoded}`;
   }
 
+  async _fetch (url, init) {
+    const started = Date.now();
+    const method = init.method || 'GET';
+    const done = (status) => {
+      const durationMs = Date.now() - started;
+      this.emit('request', { method, url, status, durationMs });
+      if (this.log.enabled('debug')) this.log.debug('Spotify request', { endpoint: `${method} ${endpointOf(url)}`, status, durationMs });
+    };
+    try {
+      const res = await fetch(url, init);
+      done(res.status);
+      return res;
+    } catch (e) {
+      done('network');
+      const err = new Error(`Spotify network error: ${e.message}`);
+      err.network = true;
+      err.endpoint = `${method} ${endpointOf(url)}`;
+      throw err;
+    }
+  }
+
+  /** Error for a failed response; status and endpoint show up in log context. */
+  _httpError (res, message, endpoint) {
+    const err = new Error(message);
+    err.status = res.status;
+    err.endpoint = endpoint;
+    if (res.status === 429) err.retryAfterMs = parseRetryAfter(res.headers.get('retry-after'));
+    return err;
+  }
+
   async _ensureToken () {
     if (this.accessToken && Date.now() < this.tokenExpiresAt - 60000) {
       return this.accessToken;
     }
+    // One refresh at a time: once Spotify rotates the refresh token, a second concurrent
+    // refresh would present the token that was just replaced.
+    if (!this._tokenRefresh) {
+      this._tokenRefresh = this._refreshAccessToken().finally(() => {
+        this._tokenRefresh = null;
+      });
+    }
+    return this._tokenRefresh;
+  }
+
+  async _refreshAccessToken () {
+    // The store holds the newest token; after a revocation re-read it in case it was re-authorized
+    if (this.tokenStore && (!this._storeChecked || this._revokedToken)) {
+      const record = await this.tokenStore.get(this.tokenKey);
+      if (record && record.refreshToken) {
+        this.refreshToken = record.refreshToken;
+        if (record.flow) this.authFlow = record.flow;
+      }
+      this._storeChecked = true;
+    }
+    if (!this.refreshToken) {
+      this._setAuthStatus('missing', 'No refresh token. Run npm run auth to authorize.');
+      throw new Error('Spotify refresh token missing');
+    }
+    if (this.refreshToken === this._revokedToken) {
+      const err = new Error(`Spotify token refresh failed: ${this.authStatus.message}`);
+      err.authRevoked = true;
+      throw err;
+    }
     const body = new URLSearchParams({
       grant_type: 'refresh_token',
       refresh_token: this.refreshToken
     });
-    const res = await fetch(SPOTIFY_ACCOUNTS_BASE, {
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+    if (this.authFlow === 'pkce') body.set('client_id', this.clientId);
+    else headers.Authorization = this._basicAuth();
+    const res = await this._fetch(SPOTIFY_ACCOUNTS_BASE, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        Authorization: this._basicAuth()
-      },
+      headers,
       body: body.toString()
     });
     if (!res.ok) {
       const text = await res.text();
-      throw new Error(`Spotify token refresh failed: ${res.status} ${text}`);
+      const err = this._httpError(res, `Spotify token refresh failed: ${res.status} ${text}`, `POST ${endpointOf(SPOTIFY_ACCOUNTS_BASE)}`);
+      if (res.status === 400 && text.includes('invalid_grant')) {
+        this._revokedToken = this.refreshToken;
+        err.authRevoked = true;
+        this._setAuthStatus('revoked', 'Refresh token revoked or expired. Re-authorize via /auth/login or npm run auth.');
+      }
+      throw err;
     }
     const data = await res.json();
     this.accessToken = data.access_token;
     this.tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+    this._revokedToken = null;
+    if (data.refresh_token && data.refresh_token !== this.refreshToken) {
+      this.refreshToken = data.refresh_token;
+      if (this.tokenStore) {
+        try {
+          await this.tokenStore.set(this.tokenKey, { refreshToken: data.refresh_token, flow: this.authFlow });
+        } catch (e) {
+          this.log.error('Token store write failed (rotated refresh token not saved)', { err: e });
+        }
+      }
+    }
+    this._setAuthStatus('ok', '');
     return this.accessToken;
   }
 
-  async _request (method, path, options = {}, retried = false) {
+  /** Use a newly authorized refresh token; the next request refreshes the access token with it. */
+  setRefreshToken (refreshToken, authFlow) {
+    this.refreshToken = refreshToken;
+    if (authFlow) this.authFlow = authFlow;
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this._revokedToken = null;
+    this._storeChecked = true;
+  }
+
+  _setAuthStatus (status, message) {
+    if (this.authStatus.status === status && this.authStatus.message === message) return;
+    this.authStatus = { status, message, updatedAt: new Date().toISOString() };
+    this.emit('auth_status', this.getAuthStatus());
+  }
+
+  /** { status: 'unknown'|'ok'|'missing'|'revoked', message, updatedAt } */
+  getAuthStatus () {
+    return { ...this.authStatus };
+  }
+
+  /**
+   * Queue a request. options.priority is 'control' (default) or 'background';
+   * background requests only run when no control request is waiting.
+   */
+  _request (method, path, options = {}) {
+    const priority = options.priority === PRIORITY_BACKGROUND ? PRIORITY_BACKGROUND : PRIORITY_CONTROL;
+    const waitMs = this._throttledUntil - Date.now();
+    if (priority === PRIORITY_CONTROL && waitMs > this.maxControlWaitMs) {
+      return Promise.reject(this._rateLimitedError(waitMs));
+    }
+    return new Promise((resolve, reject) => {
+      this._queues[priority].push({ method, path, options, priority, attempt: 0, resolve, reject });
+      this._pump();
+    });
+  }
+
+  _rateLimitedError (waitMs) {
+    const err = new Error(`Spotify API 429: rate limited, retry in ${Math.ceil(waitMs / 1000)}s`);
+    err.status = 429;
+    err.retryAfterMs = waitMs;
+    return err;
+  }
+
+  _pump () {
+    if (this._throttleTimer) return;
+    const waitMs = this._throttledUntil - Date.now();
+    if (waitMs > 0) {
+      this._throttleTimer = setTimeout(() => {
+        this._throttleTimer = null;
+        this.emit('throttle', this.getThrottleStatus());
+        this._pump();
+      }, waitMs);
+      return;
+    }
+    while (this._active < this.maxConcurrent) {
+      const job = this._queues[PRIORITY_CONTROL].shift() || this._queues[PRIORITY_BACKGROUND].shift();
+      if (!job) break;
+      this._active++;
+      this._run(job).finally(() => {
+        this._active--;
+        this._pump();
+      });
+    }
+  }
+
+  async _run (job) {
+    try {
+      job.resolve(await this._send(job.method, job.path, job.options));
+    } catch (err) {
+      if (err.status === 429) {
+        this._setThrottle(err.retryAfterMs);
+        if (job.priority === PRIORITY_CONTROL && err.retryAfterMs > this.maxControlWaitMs) {
+          job.reject(err);
+        } else {
+          this._queues[job.priority].unshift(job);
+        }
+        return;
+      }
+      // POST (next/previous) is not idempotent; a 5xx may still have skipped a track
+      if (isTransient(err) && job.method !== 'POST' && job.attempt < this.maxRetries) {
+        job.attempt++;
+        setTimeout(() => {
+          this._queues[job.priority].unshift(job);
+          this._pump();
+        }, backoffDelay(job.attempt));
+        return;
+      }
+      job.reject(err);
+    }
+  }
+
+  _setThrottle (retryAfterMs) {
+    const wasThrottled = this._throttledUntil > Date.now();
+    this._lastRateLimitAt = Date.now();
+    this._throttledUntil = Math.max(this._throttledUntil, Date.now() + retryAfterMs);
+    if (!wasThrottled) this.emit('throttle', this.getThrottleStatus());
+  }
+
+  /** Current rate-limit state: { rateLimited, retryAfterMs, lastRateLimitAt, queued: { control, background } }. */
+  getThrottleStatus () {
+    const retryAfterMs = Math.max(0, this._throttledUntil - Date.now());
+    return {
+      rateLimited: retryAfterMs > 0,
+      retryAfterMs,
+      lastRateLimitAt: this._lastRateLimitAt || null,
+      queued: {
+        control: this._queues[PRIORITY_CONTROL].length,
+        background: this._queues[PRIORITY_BACKGROUND].length
+      }
+    };
+  }
+
+  async _send (method, path, options = {}, retried = false) {
     const token = await this._ensureToken();
     const url = path.startsWith('http') ? path : `${SPOTIFY_API_BASE}${path}`;
     const headers = {
@@ -58,7 +314,7 @@ class SpotifyWebAPI {
     if (options.body && typeof options.body === 'object' && !(options.body instanceof URLSearchParams) && !(options.body instanceof FormData)) {
       headers['Content-Type'] = 'application/json';
     }
-    const res = await fetch(url, {
+    const res = await this._fetch(url, {
       method,
       headers,
       body: options.body
@@ -76,9 +332,9 @@ class SpotifyWebAPI {
       }
       if (res.status === 401 && !retried) {
         this.accessToken = null;
-        return this._request(method, path, options, true);
+        return this._send(method, path, options, true);
       }
-      throw new Error(msg);
+      throw this._httpError(res, msg, `${method} ${endpointOf(url)}`);
     }
     if (!text) return null;
     try {
@@ -88,13 +344,14 @@ class SpotifyWebAPI {
     }
   }
 
-  async getPlaybackState () {
-    const data = await this._request('GET', '/me/player');
+  /** options.priority: 'background' for polling so control commands go first. */
+  async getPlaybackState (options = {}) {
+    const data = await this._request('GET', '/me/player', { priority: options.priority });
     return data;
   }
 
-  async getDevices () {
-    const data = await this._request('GET', '/me/player/devices');
+  async getDevices (options = {}) {
+    const data = await this._request('GET', '/me/player/devices', { priority: options.priority });
     return (data && data.devices) ? data.devices : [];
   }
 
@@ -182,6 +439,71 @@ class SpotifyWebAPI {
       offset: trackUri ? { uri: trackUri } : undefined
     });
   }
+
+  /** Append a track (URI or ID) to Spotify's own queue. */
+  async addToQueue (trackUriOrId) {
+    const uri = this._toUri(trackUriOrId);
+    if (!uri) return;
+    const qs = `?uri=${encodeURIComponent(uri)}${this.deviceId ? `&device_id=${encodeURIComponent(this.deviceId)}` : ''}`;
+    return this._request('POST', `/me/player/queue${qs}`);
+  }
+
+  // ---- Browsing (background priority so a search never delays a control command) ----
+
+  /**
+   * Search the catalog. Returns Spotify's response: one paging object per type
+   * ({ tracks, albums, playlists, artists }).
+   * @param {string} query
+   * @param {object} [options] { types: ['track', 'album', 'playlist', 'artist'], limit, offset, market }
+   */
+  async search (query, options = {}) {
+    const params = new URLSearchParams({
+      q: query,
+      type: (options.types || ['track', 'album', 'playlist', 'artist']).join(','),
+      limit: String(options.limit || 20),
+      offset: String(options.offset || 0)
+    });
+    if (options.market) params.set('market', options.market);
+    return this._request('GET', `/search?${params}`, { priority: PRIORITY_BACKGROUND });
+  }
+
+  /** The current user's playlists (paging object). Needs the playlist-read-private scope. */
+  async getMyPlaylists (options = {}) {
+    const params = new URLSearchParams({ limit: String(options.limit || 20), offset: String(options.offset || 0) });
+    return this._request('GET', `/me/playlists?${params}`, { priority: PRIORITY_BACKGROUND });
+  }
+
+  /** Tracks of a playlist by ID or URI (paging object of { added_at, track }). */
+  async getPlaylistTracks (playlistIdOrUri, options = {}) {
+    const id = String(playlistIdOrUri).split(':').pop();
+    const params = new URLSearchParams({ limit: String(options.limit || 50), offset: String(options.offset || 0) });
+    if (options.market) params.set('market', options.market);
+    return this._request('GET', `/playlists/${encodeURIComponent(id)}/tracks?${params}`, { priority: PRIORITY_BACKGROUND });
+  }
+
+  /** Track object by URI or ID. */
+  async getTrack (trackUriOrId) {
+    const id = String(trackUriOrId).split(':').pop();
+    return this._request('GET', `/tracks/${encodeURIComponent(id)}`, { priority: PRIORITY_BACKGROUND });
+  }
+
+  /** The user's queue: { currently_playing, queue }. */
+  async getQueue () {
+    return this._request('GET', '/me/player/queue', { priority: PRIORITY_BACKGROUND });
+  }
+
+  /**
+   * Name of a playback context (spotify:playlist:…, spotify:album:…, spotify:artist:… or
+   * spotify:show:…), or null for other kinds such as collections.
+   */
+  async getContextName (contextUri) {
+    const [, kind, id] = String(contextUri).split(':');
+    const paths = { playlist: 'playlists', album: 'albums', artist: 'artists', show: 'shows' };
+    if (!paths[kind] || !id) return null;
+    const query = kind === 'playlist' ? '?fields=name' : '';
+    const data = await this._request('GET', `/${paths[kind]}/${encodeURIComponent(id)}${query}`, { priority: PRIORITY_BACKGROUND });
+    return data && data.name ? data.name : null;
+  }
 }
 
-module.exports = { SpotifyWebAPI };
+module.exports = { SpotifyWebAPI, PRIORITY_CONTROL, PRIORITY_BACKGROUND };
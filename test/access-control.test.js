@@ -0,0 +1,97 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { AccessControl, parseKeysEnv } = require('../access-control.js');
+
+const KEYS = [
+  { name: 'wall', key: 'viewer-key', role: 'viewer' },
+  { name: 'booth', key: 'operator-key', role: 'operator' },
+  { name: 'desk', key: 'admin-key', role: 'admin' },
+  { name: 'guest', key: 'guest-key', role: 'operator', commands: ['volumeUp', 'volumeDown', 'transferPlayback'] }
+];
+
+test('compares each role against minRole', () => {
+  const access = new AccessControl({ keys: KEYS });
+  const viewer = access.authenticate('viewer-key');
+  const operator = access.authenticate('operator-key');
+  const admin = access.authenticate('admin-key');
+
+  assert.equal(access.can(viewer, null, 'viewer'), true);
+  assert.equal(access.can(viewer, 'play'), false);
+  assert.equal(access.can(viewer, null, 'admin'), false);
+  assert.equal(access.can(operator, 'play'), true);
+  assert.equal(access.can(operator, null, 'admin'), false);
+  assert.equal(access.can(admin, 'play'), true);
+  assert.equal(access.can(admin, null, 'admin'), true);
+
+  assert.equal(access.canControl(viewer), false);
+  assert.equal(access.canControl(operator), true);
+  assert.equal(access.canControl(null), false);
+});
+
+test('limits an allowlist key to its commands, case-insensitively', () => {
+  const access = new AccessControl({ keys: KEYS });
+  const guest = access.authenticate('guest-key');
+
+  assert.equal(access.can(guest, 'volumeUp'), true);
+  assert.equal(access.can(guest, 'volumedown'), true);
+  assert.equal(access.can(guest, 'play'), false);
+  assert.equal(access.can(guest, 'setVolume'), false);
+  // REST /transfer and the Socket.io event are both checked as transferPlayback
+  assert.equal(access.can(guest, 'transferPlayback'), true);
+  assert.equal(access.can(guest, 'transfer'), false);
+  // The allowlist does not lift the role
+  assert.equal(access.can(guest, null, 'admin'), false);
+});
+
+test('rejects an unknown key', () => {
+  const access = new AccessControl({ keys: KEYS });
+  assert.equal(access.authenticate('nope'), null);
+  assert.equal(access.can(null, 'play', 'viewer'), false);
+});
+
+test('reads the key from Bearer, X-API-Key, ?key= and the socket handshake alike', () => {
+  const access = new AccessControl({ keys: KEYS });
+  const expected = access.authenticate('operator-key');
+  const keys = [
+    AccessControl.keyFromRequest({ headers: { authorization: 'Bearer operator-key' }, query: {} }),
+    AccessControl.keyFromRequest({ headers: { 'x-api-key': 'operator-key' }, query: {} }),
+    AccessControl.keyFromRequest({ headers: {}, query: { key: 'operator-key' } }),
+    AccessControl.keyFromHandshake({ auth: { token: 'operator-key' }, headers: {}, query: {} }),
+    AccessControl.keyFromHandshake({ auth: {}, headers: { authorization: 'Bearer operator-key' }, query: {} }),
+    AccessControl.keyFromHandshake({ auth: {}, headers: {}, query: { key: 'operator-key' } })
+  ];
+  for (const key of keys) assert.equal(access.authenticate(key), expected);
+
+  assert.equal(AccessControl.keyFromRequest({ headers: {}, query: {} }), null);
+});
+
+test('anonymous requests are admin until a key is configured', () => {
+  const open = new AccessControl();
+  assert.equal(open.enabled, false);
+  assert.equal(open.authenticate(null).role, 'admin');
+
+  const locked = new AccessControl({ keys: KEYS });
+  assert.equal(locked.enabled, true);
+  const anonymous = locked.authenticate(null);
+  assert.equal(anonymous.role, 'viewer');
+  assert.equal(locked.can(anonymous, 'play'), false);
+  assert.equal(locked.can(anonymous, null, 'viewer'), true);
+
+  assert.equal(new AccessControl({ keys: KEYS, anonymousRole: 'none' }).authenticate(''), null);
+  const companion = new AccessControl({ keys: KEYS, anonymousRole: 'operator', anonymousCommands: ['play'] });
+  assert.equal(companion.can(companion.authenticate(null), 'play'), true);
+  assert.equal(companion.can(companion.authenticate(null), 'pause'), false);
+});
+
+test('fromEnv builds keys from API_KEYS and AUTH_ANONYMOUS_ROLE', () => {
+  assert.deepEqual(parseKeysEnv('booth:operator:k1, guest:operator:k2:volumeUp|volumeDown'), [
+    { name: 'booth', role: 'operator', key: 'k1', commands: null },
+    { name: 'guest', role: 'operator', key: 'k2', commands: ['volumeUp', 'volumeDown'] }
+  ]);
+  assert.throws(() => parseKeysEnv('booth:operator'), /must be name:role:key/);
+  assert.throws(() => new AccessControl({ keys: [{ name: 'x', key: 'k', role: 'root' }] }), /role must be one of/);
+
+  const access = AccessControl.fromEnv({ API_KEYS: 'booth:operator:k1', AUTH_ANONYMOUS_ROLE: 'none' });
+  assert.equal(access.authenticate('k1').name, 'booth');
+  assert.equal(access.authenticate(), null);
+});
@@ -0,0 +1,125 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Config, zoneEnvPrefix, zoneCredentialsFromEnv } = require('../config.js');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bridge-config-'));
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function writeConfig (name, text) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test('uses the defaults with no file and no env', () => {
+  const config = new Config({ env: {} }).load();
+  assert.equal(config.get('port'), 8801);
+  assert.equal(config.get('allowControl'), true);
+  assert.deepEqual(config.get('devices.failover'), []);
+  assert.equal(config.sources.port, 'default');
+  assert.throws(() => config.get('polling.interval'), /Unknown setting: polling.interval/);
+});
+
+test('reads nested YAML settings and zones', () => {
+  const file = writeConfig('settings.yaml', [
+    'allowControl: false',
+    'polling:',
+    '  intervalMs: 500',
+    'devices:',
+    '  failover: [Backup Laptop]',
+    'zones:',
+    '  lobby:',
+    '    deviceName: Lobby Speakers'
+  ].join('\n'));
+  const config = new Config({ file, env: {} }).load();
+
+  assert.equal(config.get('allowControl'), false);
+  assert.equal(config.get('polling.intervalMs'), 500);
+  assert.deepEqual(config.get('devices.failover'), ['Backup Laptop']);
+  assert.deepEqual(config.zones, { lobby: { deviceName: 'Lobby Speakers' } });
+  assert.equal(config.toJSON().settings.polling.intervalMs, 500);
+});
+
+test('rejects bad values and unknown keys, listing every problem', () => {
+  const file = writeConfig('bad.json', JSON.stringify({ port: 70000, polling: { intervalMs: 'fast', intervalMS: 10 }, zones: { lobby: { volume: 3 } } }));
+  const config = new Config({ file, env: { ALLOW_CONTROL: 'maybe' } });
+
+  assert.throws(() => config.load(), (err) => {
+    assert.match(err.message, /^Invalid configuration in /);
+    assert.match(err.message, /port: must be an integer <= 65535 \(got 70000\)/);
+    assert.match(err.message, /polling\.intervalMs: must be an integer \(got "fast"\)/);
+    assert.match(err.message, /polling\.intervalMS: unknown setting \(did you mean polling\.intervalMs\?\)/);
+    assert.match(err.message, /zones\.lobby\.volume: unknown setting/);
+    assert.match(err.message, /ALLOW_CONTROL: must be true or false \(got "maybe"\)/);
+    return true;
+  });
+  // Nothing was applied
+  assert.equal(config.get('port'), 8801);
+  assert.equal(config.loadedAt, null);
+});
+
+test('env overrides file values', () => {
+  const file = writeConfig('override.json', JSON.stringify({ port: 9000, polling: { intervalMs: 500 }, devices: { failover: ['A'] } }));
+  const config = new Config({ file, env: { PORT: '9100', SPOTIFY_DEVICE_FAILOVER: 'B, C' } }).load();
+
+  assert.equal(config.get('port'), 9100);
+  assert.equal(config.get('polling.intervalMs'), 500);
+  assert.deepEqual(config.get('devices.failover'), ['B', 'C']);
+  const { sources } = config.toJSON();
+  assert.equal(sources.port, 'env');
+  assert.equal(sources['polling.intervalMs'], 'file');
+  assert.equal(sources['devices.failover'], 'env');
+  assert.equal(sources.allowControl, 'default');
+});
+
+test('reload reports changed settings and which need a restart', () => {
+  const file = writeConfig('reload.json', JSON.stringify({ port: 9000, polling: { intervalMs: 500 } }));
+  const config = new Config({ file, env: {} }).load();
+  const events = [];
+  config.on('change', (change) => events.push(change));
+
+  fs.writeFileSync(file, JSON.stringify({ port: 9001, polling: { intervalMs: 750 } }));
+  const result = config.reload();
+  assert.deepEqual(result, { changed: ['port', 'polling.intervalMs'], restartRequired: ['port'] });
+  assert.deepEqual(events, [result]);
+  assert.equal(config.get('port'), 9001);
+
+  // Nothing changed: no event
+  assert.deepEqual(config.reload(), { changed: [], restartRequired: [] });
+  assert.equal(events.length, 1);
+});
+
+test('a reload with an invalid file keeps the previous settings', () => {
+  const file = writeConfig('broken.json', JSON.stringify({ polling: { intervalMs: 500 } }));
+  const config = new Config({ file, env: {} }).load();
+
+  fs.writeFileSync(file, JSON.stringify({ polling: { intervalMs: 5 } }));
+  assert.throws(() => config.reload(), /polling\.intervalMs: must be an integer >= 100/);
+  assert.equal(config.get('polling.intervalMs'), 500);
+
+  fs.writeFileSync(file, '{ "polling": ');
+  assert.throws(() => config.reload(), /Config file .*broken\.json: /);
+  assert.equal(config.get('polling.intervalMs'), 500);
+});
+
+test('zone credentials fall back to the shared client but not the refresh token', () => {
+  const env = {
+    SPOTIFY_CLIENT_ID: 'shared-id',
+    SPOTIFY_CLIENT_SECRET: 'shared-secret',
+    SPOTIFY_REFRESH_TOKEN: 'shared-token',
+    ZONE_LOBBY_SPOTIFY_CLIENT_ID: 'lobby-id'
+  };
+  const prefix = zoneEnvPrefix('lobby');
+  assert.equal(prefix, 'ZONE_LOBBY_');
+  const lobby = zoneCredentialsFromEnv(prefix, env);
+  assert.equal(lobby.clientId, 'lobby-id');
+  assert.equal(lobby.clientSecret, 'shared-secret');
+  assert.ok(!lobby.refreshToken);
+  assert.equal(zoneCredentialsFromEnv('', env).refreshToken, 'shared-token');
+});
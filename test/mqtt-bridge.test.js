@@ -0,0 +1,198 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { MqttBridge, parseArgs } = require('../mqtt-bridge.js');
+
+/** Broker stand-in: records publishes and subscriptions, delivers messages on demand. */
+class FakeMqttClient extends EventEmitter {
+  constructor () {
+    super();
+    this.connected = false;
+    this.published = [];
+    this.subscribed = [];
+    this.ended = false;
+  }
+
+  connect () {
+    this.connected = true;
+    this.emit('connect');
+  }
+
+  publish (topic, message, options, callback) {
+    this.published.push({ topic, message: String(message), retain: options.retain });
+    if (callback) callback(null);
+  }
+
+  subscribe (topics, callback) {
+    this.subscribed.push(...topics);
+    if (callback) callback(null);
+  }
+
+  end () {
+    this.connected = false;
+    this.ended = true;
+  }
+
+  receive (topic, message) {
+    this.emit('message', topic, Buffer.from(message));
+  }
+
+  topics () {
+    return this.published.map(p => p.topic);
+  }
+}
+
+function statePayload ({ volume = 40, name = 'Song', trackId = 'spotify:track:abc', shuffle = false, repeat = 'off' } = {}) {
+  return {
+    playbackInfo: { name, artist: 'Artist', album: 'Album', trackId, duration: 200000, albumArtUrl: 'https://i.scdn.co/image/x', playerState: 'Playing' },
+    state: { track_id: trackId, volume, position: 1, state: 'playing', isRepeating: repeat !== 'off', isShuffling: shuffle, repeatState: repeat }
+  };
+}
+
+function createBridge (options = {}) {
+  const client = new FakeMqttClient();
+  const commands = [];
+  const bridge = new MqttBridge({
+    client,
+    discoveryPrefix: null,
+    runCommand: async (zone, command, args) => { commands.push([zone, command, args]); },
+    getStates: () => [],
+    ...options
+  });
+  return { client, bridge, commands };
+}
+
+test('parseArgs reads empty, JSON and plain text payloads', () => {
+  assert.deepEqual(parseArgs(Buffer.from('')), []);
+  assert.deepEqual(parseArgs(Buffer.from('[60, 3]')), [60, 3]);
+  assert.deepEqual(parseArgs(Buffer.from('true')), [true]);
+  assert.deepEqual(parseArgs(Buffer.from('spotify:track:abc')), ['spotify:track:abc']);
+});
+
+test('on connect subscribes to commands and publishes availability', () => {
+  const { client } = createBridge();
+  client.connect();
+  assert.deepEqual(client.subscribed, ['spotify/cmd/#', 'spotify/zone/+/cmd/#']);
+  assert.deepEqual(client.published, [{ topic: 'spotify/availability', message: 'online', retain: true }]);
+});
+
+test('publishes retained state, track and volume topics per zone', () => {
+  const { client, bridge } = createBridge();
+  client.connect();
+  client.published = [];
+  bridge.publish('default', statePayload());
+  bridge.publish('lobby', statePayload({ volume: 70 }));
+
+  const byTopic = Object.fromEntries(client.published.map(p => [p.topic, p]));
+  assert.ok(client.published.every(p => p.retain));
+  assert.deepEqual(JSON.parse(byTopic['spotify/state'].message), statePayload());
+  assert.deepEqual(JSON.parse(byTopic['spotify/track'].message), {
+    name: 'Song', artist: 'Artist', album: 'Album', uri: 'spotify:track:abc', duration: 200000, albumArtUrl: 'https://i.scdn.co/image/x'
+  });
+  assert.equal(byTopic['spotify/volume'].message, '40');
+  assert.equal(byTopic['spotify/shuffle'].message, 'false');
+  assert.equal(byTopic['spotify/repeat'].message, 'off');
+  assert.equal(byTopic['spotify/zone/lobby/volume'].message, '70');
+});
+
+test('publishes only the topics whose value changed', () => {
+  const { client, bridge } = createBridge();
+  client.connect();
+  bridge.publish('default', statePayload());
+  client.published = [];
+
+  bridge.publish('default', statePayload());
+  assert.deepEqual(client.topics(), []);
+
+  bridge.publish('default', statePayload({ volume: 55 }));
+  assert.deepEqual(client.topics().sort(), ['spotify/state', 'spotify/volume']);
+});
+
+test('republishes everything after a reconnect', () => {
+  const states = [{ name: 'default', payload: statePayload() }];
+  const { client, bridge } = createBridge({ getStates: () => states });
+  client.connect();
+  bridge.publish('default', statePayload());
+  client.published = [];
+
+  client.connect();
+  assert.deepEqual(client.topics().sort(), ['spotify/availability', 'spotify/repeat', 'spotify/shuffle', 'spotify/state', 'spotify/track', 'spotify/volume']);
+});
+
+test('does not publish state while disconnected', () => {
+  const { client, bridge } = createBridge();
+  bridge.publish('default', statePayload());
+  assert.deepEqual(client.published, []);
+});
+
+test('announces Home Assistant discovery configs for each zone', () => {
+  const { client } = createBridge({ discoveryPrefix: 'homeassistant', getStates: () => [{ name: 'default', payload: null }, { name: 'lobby', payload: null }] });
+  client.connect();
+  assert.ok(client.subscribed.includes('homeassistant/status'));
+
+  const configs = Object.fromEntries(client.published
+    .filter(p => p.topic.startsWith('homeassistant/'))
+    .map(p => [p.topic, JSON.parse(p.message)]));
+  const volume = configs['homeassistant/number/spotify_bridge_lobby/volume/config'];
+  assert.equal(volume.state_topic, 'spotify/zone/lobby/volume');
+  assert.equal(volume.command_topic, 'spotify/zone/lobby/cmd/setVolume');
+  assert.equal(volume.unique_id, 'spotify_bridge_lobby_volume');
+  assert.equal(volume.availability_topic, 'spotify/availability');
+  assert.deepEqual(volume.device.identifiers, ['spotify_bridge_lobby']);
+
+  const play = configs['homeassistant/button/spotify_bridge_default/play/config'];
+  assert.equal(play.command_topic, 'spotify/cmd/play');
+  assert.equal(configs['homeassistant/switch/spotify_bridge_default/shuffle/config'].command_topic, 'spotify/cmd/setShuffle');
+  assert.deepEqual(configs['homeassistant/select/spotify_bridge_default/repeat/config'].options, ['off', 'context', 'track']);
+  assert.equal(configs['homeassistant/sensor/spotify_bridge_default/track/config'].state_topic, 'spotify/track');
+  assert.ok(client.published.filter(p => p.topic.startsWith('homeassistant/')).every(p => p.retain));
+});
+
+test('announces again when Home Assistant comes online', () => {
+  const { client } = createBridge({ discoveryPrefix: 'homeassistant', getStates: () => [{ name: 'default', payload: null }] });
+  client.connect();
+  client.published = [];
+  client.receive('homeassistant/status', 'online');
+  assert.ok(client.topics().includes('homeassistant/number/spotify_bridge_default/volume/config'));
+});
+
+test('maps cmd/# topics to zone commands', async () => {
+  const { client, commands } = createBridge();
+  client.connect();
+  client.receive('spotify/cmd/play', '');
+  client.receive('spotify/cmd/volume', '60');
+  client.receive('spotify/zone/lobby/cmd/shuffle', 'true');
+  client.receive('spotify/zone/lobby/cmd/repeat', 'track');
+  client.receive('spotify/cmd/rampVolume', '[20, 10, 5, "ease-out"]');
+  // Not commands: wrong depth, other prefixes
+  client.receive('spotify/cmd/play/extra', '');
+  client.receive('spotify/volume', '10');
+  client.receive('other/cmd/play', '');
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(commands, [
+    ['default', 'play', []],
+    ['default', 'setVolume', [60]],
+    ['lobby', 'setShuffle', [true]],
+    ['lobby', 'setRepeat', ['track']],
+    ['default', 'rampVolume', [20, 10, 5, 'ease-out']]
+  ]);
+});
+
+test('reports failed commands as errors', async () => {
+  const { client, bridge } = createBridge({ runCommand: async () => { throw new Error('Unknown zone: nowhere'); } });
+  const errors = [];
+  bridge.on('error', (err) => errors.push(err.message));
+  client.connect();
+  client.receive('spotify/zone/nowhere/cmd/play', '');
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(errors, ['MQTT spotify/zone/nowhere/cmd/play: Unknown zone: nowhere']);
+});
+
+test('stop publishes offline and ends the client', () => {
+  const { client, bridge } = createBridge();
+  client.connect();
+  bridge.stop();
+  assert.deepEqual(client.published.at(-1), { topic: 'spotify/availability', message: 'offline', retain: true });
+  assert.ok(client.ended);
+});
@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeMessage, decodeMessage, decodePacket, parseTargets } = require('../osc.js');
+
+/** '#bundle', an immediate time tag, then each message with its size. */
+function bundle (...messages) {
+  const timeTag = Buffer.alloc(8);
+  timeTag.writeUInt32BE(1, 4);
+  const parts = [Buffer.from('#bundle\0'), timeTag];
+  for (const message of messages) {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(message.length);
+    parts.push(size, message);
+  }
+  return Buffer.concat(parts);
+}
+
+test('round-trips every type tag', () => {
+  const blob = Buffer.from([1, 2, 3, 4, 5]);
+  const buf = encodeMessage('/spotify/test', [
+    42,
+    0.5,
+    { type: 'h', value: 2 ** 40 },
+    { type: 'd', value: 0.1 },
+    'hi',
+    blob,
+    true,
+    false,
+    null
+  ]);
+
+  assert.equal(buf.length % 4, 0);
+  assert.deepEqual(decodeMessage(buf), {
+    address: '/spotify/test',
+    args: [42, 0.5, 2 ** 40, 0.1, 'hi', blob, true, false, null]
+  });
+});
+
+test('pads strings and blobs to four bytes', () => {
+  // '/ab' plus its terminator fills exactly four bytes; '/abc' needs a second word
+  assert.equal(encodeMessage('/ab').length, 4 + 4);
+  assert.equal(encodeMessage('/abc').length, 8 + 4);
+  for (const text of ['', 'a', 'abc', 'abcd']) {
+    const buf = encodeMessage('/s', [text]);
+    assert.equal(buf.length, 4 + 4 + (Math.floor(text.length / 4) + 1) * 4);
+    assert.deepEqual(decodeMessage(buf).args, [text]);
+  }
+  for (const size of [0, 1, 4, 5]) {
+    const blob = Buffer.alloc(size, 7);
+    const buf = encodeMessage('/b', [blob]);
+    assert.equal(buf.length, 4 + 4 + 4 + Math.ceil(size / 4) * 4);
+    assert.deepEqual(decodeMessage(buf).args, [blob]);
+  }
+});
+
+test('reads a message without a type tag string as having no arguments', () => {
+  assert.deepEqual(decodeMessage(Buffer.from('/spotify/play\0\0\0')), { address: '/spotify/play', args: [] });
+});
+
+test('decodes the messages of a bundle in order', () => {
+  const packet = bundle(encodeMessage('/spotify/volume', [30]), encodeMessage('/spotify/play'));
+  assert.deepEqual(decodePacket(packet), [
+    { address: '/spotify/volume', args: [30] },
+    { address: '/spotify/play', args: [] }
+  ]);
+  // Nested bundles are flattened
+  assert.deepEqual(decodePacket(bundle(packet)).map(m => m.address), ['/spotify/volume', '/spotify/play']);
+});
+
+test('throws on truncated or unterminated input', () => {
+  const message = encodeMessage('/spotify/test', [1, { type: 'd', value: 2 }, Buffer.alloc(8)]);
+  // Arguments start at byte 24: cut inside the int, the double, the blob size and the blob
+  for (const length of [26, 32, 38, 44]) {
+    assert.throws(() => decodeMessage(message.subarray(0, length)), /Truncated OSC message/, `cut at ${length}`);
+  }
+  assert.throws(() => decodeMessage(Buffer.from('/spotify/play')), /Unterminated OSC string/);
+  assert.throws(() => decodeMessage(Buffer.from('/spotify/volume\0,s\0\0abc')), /Unterminated OSC string/);
+  assert.throws(() => decodeMessage(Buffer.from('/spotify/volume\0,i')), /Unterminated OSC string/);
+  assert.throws(() => decodeMessage(Buffer.from('spotify\0')), /Invalid OSC address/);
+  assert.throws(() => decodeMessage(Buffer.from('/a\0\0i\0\0\0')), /Missing OSC type tags/);
+  assert.throws(() => decodeMessage(Buffer.from('/a\0\0,x\0\0')), /Unsupported OSC type tag: x/);
+
+  const packet = bundle(encodeMessage('/spotify/volume', [30]), encodeMessage('/spotify/play'));
+  assert.throws(() => decodePacket(packet.subarray(0, 12)), /Truncated OSC bundle/);
+  assert.throws(() => decodePacket(packet.subarray(0, packet.length - 4)), /Truncated OSC bundle/);
+  assert.throws(() => decodePacket(packet.subarray(0, 18)), /Truncated OSC bundle/);
+  const negative = Buffer.from(packet);
+  negative.writeInt32BE(-8, 16);
+  assert.throws(() => decodePacket(negative), /Truncated OSC bundle/);
+});
+
+test('parseTargets reads host:port lists', () => {
+  assert.deepEqual(parseTargets('10.0.0.5:53000, console.local:8000'), [
+    { host: '10.0.0.5', port: 53000 },
+    { host: 'console.local', port: 8000 }
+  ]);
+  assert.deepEqual(parseTargets(''), []);
+  assert.throws(() => parseTargets('10.0.0.5'), /must be host:port/);
+  assert.throws(() => parseTargets('10.0.0.5:70000'), /must be host:port/);
+});
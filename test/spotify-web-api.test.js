@@ -0,0 +1,134 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { SpotifyWebAPI } = require('../spotify-web-api.js');
+
+// Commands would carry ?device_id= otherwise
+delete process.env.SPOTIFY_DEVICE_ID;
+delete process.env.SPOTIFY_DEVICE_NAME;
+
+const realFetch = global.fetch;
+let calls;
+
+/**
+ * Replace fetch for one test. The token endpoint always answers; other requests go to
+ * handler(method, path, callNumber), which returns a Response (or a promise of one).
+ */
+function stubFetch (handler) {
+  global.fetch = async (url, init = {}) => {
+    if (url.startsWith('https://accounts.spotify.com/')) {
+      return new Response(JSON.stringify({ access_token: 'access', expires_in: 3600 }), { status: 200 });
+    }
+    const method = init.method || 'GET';
+    const path = url.replace('https://api.spotify.com/v1', '');
+    calls.push(`${method} ${path}`);
+    return handler(method, path, calls.length);
+  };
+}
+
+function createClient (options = {}) {
+  return new SpotifyWebAPI({ clientId: 'id', clientSecret: 'secret', refreshToken: 'refresh', ...options });
+}
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status });
+const noContent = () => new Response(null, { status: 204 });
+const serverError = () => new Response('{"error":{"message":"Service unavailable"}}', { status: 503 });
+
+beforeEach(() => {
+  calls = [];
+});
+
+afterEach(() => {
+  global.fetch = realFetch;
+});
+
+test('runs waiting control requests before background requests', async () => {
+  let release;
+  const firstPoll = new Promise(resolve => { release = resolve; });
+  stubFetch(async (method, path, n) => {
+    if (n === 1) await firstPoll;
+    return path === '/me/player' ? json({ is_playing: true }) : noContent();
+  });
+  const client = createClient({ maxConcurrent: 1 });
+
+  // The first poll holds the only slot while the others queue up
+  const pending = [
+    client.getPlaybackState({ priority: 'background' }),
+    client.getDevices({ priority: 'background' }),
+    client.setVolume(30),
+    client.pause()
+  ];
+  await new Promise(resolve => setImmediate(resolve));
+  assert.deepEqual(client.getThrottleStatus().queued, { control: 2, background: 1 });
+  release();
+  await Promise.all(pending);
+
+  assert.deepEqual(calls, [
+    'GET /me/player',
+    'PUT /me/player/volume?volume_percent=30',
+    'PUT /me/player/pause',
+    'GET /me/player/devices'
+  ]);
+});
+
+test('waits out Retry-After on a 429 and sends the request again', async () => {
+  stubFetch((method, path, n) => {
+    if (n === 1) return new Response('', { status: 429, headers: { 'retry-after': '0.2' } });
+    return json({ is_playing: false });
+  });
+  const client = createClient();
+  const throttle = [];
+  client.on('throttle', (status) => throttle.push(status.rateLimited));
+
+  const started = Date.now();
+  const player = await client.getPlaybackState();
+
+  assert.deepEqual(player, { is_playing: false });
+  assert.deepEqual(calls, ['GET /me/player', 'GET /me/player']);
+  assert.ok(Date.now() - started >= 180, 'second attempt waited for Retry-After');
+  assert.deepEqual(throttle, [true, false]);
+  assert.ok(client.getThrottleStatus().lastRateLimitAt);
+});
+
+test('fails a control request at once when Retry-After is longer than it may wait', async () => {
+  stubFetch(() => new Response('', { status: 429, headers: { 'retry-after': '1' } }));
+  const client = createClient({ maxControlWaitMs: 500 });
+
+  await assert.rejects(client.pause(), (err) => err.status === 429 && err.retryAfterMs === 1000);
+  // Still rate limited: the next one is refused without a request
+  await assert.rejects(client.play(), { status: 429 });
+  assert.deepEqual(calls, ['PUT /me/player/pause']);
+});
+
+test('retries a transient 5xx for GET and PUT', async () => {
+  stubFetch((method, path, n) => {
+    if (n % 2 === 1) return serverError();
+    return path === '/me/player' ? json({ is_playing: true }) : noContent();
+  });
+  const client = createClient();
+
+  assert.deepEqual(await client.getPlaybackState(), { is_playing: true });
+  await client.setVolume(50);
+
+  assert.deepEqual(calls, [
+    'GET /me/player',
+    'GET /me/player',
+    'PUT /me/player/volume?volume_percent=50',
+    'PUT /me/player/volume?volume_percent=50'
+  ]);
+});
+
+test('gives up after maxRetries', async () => {
+  stubFetch(() => serverError());
+  const client = createClient({ maxRetries: 1 });
+
+  await assert.rejects(client.getPlaybackState(), { status: 503 });
+  assert.equal(calls.length, 2);
+});
+
+test('does not retry a POST after a 5xx', async () => {
+  stubFetch(() => serverError());
+  const client = createClient();
+
+  await assert.rejects(client.next(), (err) => err.status === 503 && err.endpoint === 'POST /me/player/next');
+  assert.deepEqual(calls, ['POST /me/player/next']);
+});
@@ -0,0 +1,53 @@
+/**
+ * Persistent refresh-token storage.
+ * A token store is any object with async get(key) -> record | null and set(key, record),
+ * where record is { refreshToken, updatedAt }. Keys are zone names ('default' for the root zone).
+ *
+ * FileTokenStore keeps all records in one JSON file, written atomically (temp file + rename)
+ * with 0600 permissions. The file is re-read on every get() so tokens written by another
+ * process (e.g. `npm run auth` while the bridge runs) are picked up.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FILE_MODE = 0o600;
+
+class FileTokenStore {
+  constructor (file) {
+    this.file = path.resolve(file);
+    this._writing = Promise.resolve();
+  }
+
+  async _readAll () {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw new Error(`Token store ${this.file} unreadable: ${e.message}`);
+    }
+  }
+
+  async get (key) {
+    const all = await this._readAll();
+    return all[key] || null;
+  }
+
+  /** Merge record into the entry for key. Writes are serialized within this process. */
+  set (key, record) {
+    const write = this._writing.then(async () => {
+      const all = await this._readAll();
+      all[key] = { ...all[key], ...record, updatedAt: new Date().toISOString() };
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, JSON.stringify(all, null, 2) + '\n', { mode: FILE_MODE });
+      await fs.promises.rename(tmp, this.file);
+      await fs.promises.chmod(this.file, FILE_MODE);
+    });
+    // Keep the chain alive after a failed write; the caller still sees the error
+    this._writing = write.catch(() => {});
+    return write;
+  }
+}
+
+module.exports = { FileTokenStore };
@@ -0,0 +1,181 @@
+/**
+ * Bridge-side play queue. Spotify's own queue can only be appended to; this one can be
+ * reordered, edited and cleared. When the current track is about to end the bridge plays
+ * the first queued item itself with play({ uris }), so it takes precedence over whatever
+ * Spotify would play next. Emits 'change' with getState() on every change.
+ *
+ * Items: { id, uri, name, artist, album, duration, albumArtUrl }; id is assigned by the
+ * bridge ('q1', 'q2', …) and stays stable while items move.
+ */
+
+const { EventEmitter } = require('events');
+
+// Start the next item this long before the computed end so Spotify does not advance first
+const ADVANCE_LEAD_MS = 300;
+// A stop or track change this close to the expected end counts as the track ending
+const END_TOLERANCE_MS = 3000;
+// After starting an item, states still showing the old track are ignored for this long
+const START_TIMEOUT_MS = 5000;
+
+function requestError (message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+class VirtualQueue extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.player hooks into the bridge:
+   *   getSpotify() -> SpotifyWebAPI | null
+   *   describe(uri) -> Promise<{ name, artist, album, duration, albumArtUrl }> (optional)
+   *   canAdvance() -> false while something else (e.g. a running cue) owns playback
+   */
+  constructor ({ player }) {
+    super();
+    this.player = player;
+    this.items = [];
+    this.current = null;
+    this._nextId = 1;
+    this._timer = null;
+    this._watch = null;
+    this._starting = null;
+  }
+
+  getState () {
+    return { current: this.current, items: this.items };
+  }
+
+  _emitChange () {
+    this.emit('change', this.getState());
+  }
+
+  _index (id) {
+    const index = this.items.findIndex(item => item.id === String(id));
+    if (index === -1) throw requestError(`No queue item ${id}`, 404);
+    return index;
+  }
+
+  _position (position, max) {
+    if (position == null || position === '') return max;
+    const n = Number(position);
+    if (!Number.isInteger(n) || n < 0) throw requestError('position must be 0 or more', 400);
+    return Math.min(n, max);
+  }
+
+  /**
+   * Insert a track at position (0-based; default the end). Track metadata is looked up
+   * through player.describe when available.
+   */
+  async add (trackUriOrId, position) {
+    if (!trackUriOrId) throw requestError('Track URI or ID is required', 400);
+    let uri = String(trackUriOrId).trim();
+    if (!uri.startsWith('spotify:')) uri = `spotify:track:${uri}`;
+    const index = this._position(position, this.items.length);
+    let info = null;
+    if (this.player.describe) {
+      info = await this.player.describe(uri).catch(() => null);
+    }
+    const item = { id: `q${this._nextId++}`, uri, ...info };
+    // The list may have changed during the lookup
+    this.items.splice(Math.min(index, this.items.length), 0, item);
+    this._emitChange();
+    return item;
+  }
+
+  remove (id) {
+    const [item] = this.items.splice(this._index(id), 1);
+    this._emitChange();
+    return item;
+  }
+
+  /** Move an item to position (0-based, counted after removing it). */
+  move (id, position) {
+    const index = this._index(id);
+    const target = this._position(position, this.items.length - 1);
+    const [item] = this.items.splice(index, 1);
+    this.items.splice(target, 0, item);
+    this._emitChange();
+    return item;
+  }
+
+  clear () {
+    this.items = [];
+    this._disarm();
+    this._emitChange();
+  }
+
+  /** Play the first queued item now. */
+  async next () {
+    if (!this.items.length) throw requestError('Queue is empty', 400);
+    const spotify = this.player.getSpotify();
+    if (!spotify) throw new Error('Spotify not configured');
+    const item = this.items.shift();
+    this._disarm();
+    this.current = item;
+    this._starting = { uri: item.uri, at: Date.now() };
+    this._emitChange();
+    try {
+      await spotify.play({ uris: [item.uri] });
+    } catch (err) {
+      // Put it back so the item is not lost on e.g. a 429
+      this.items.unshift(item);
+      this.current = null;
+      this._starting = null;
+      this._emitChange();
+      throw err;
+    }
+  }
+
+  _disarm () {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._watch = null;
+  }
+
+  _advance () {
+    this._disarm();
+    this.next().catch(err => this.emit('error', err));
+  }
+
+  /**
+   * Feed every state_change payload in, with the time left in the track (from the
+   * playback clock). Arms a timer to start the next item just before the track ends.
+   */
+  handleState (payload, remainingMs) {
+    if (!payload || !payload.state) return;
+    const { state } = payload;
+    if (this._starting) {
+      // Until the started item shows up, the state still describes the old track
+      if (state.track_id !== this._starting.uri && Date.now() - this._starting.at < START_TIMEOUT_MS) return;
+      this._starting = null;
+    }
+    const watch = this._watch;
+    clearTimeout(this._timer);
+    this._timer = null;
+    this._watch = null;
+
+    if (this.current && state.track_id !== this.current.uri) {
+      this.current = null;
+      this._emitChange();
+    }
+    if (!this.items.length || !this.player.canAdvance()) return;
+
+    // Polled after the end: Spotify stopped or moved on before the timer fired
+    const left = watch && (watch.trackId !== state.track_id || state.state !== 'playing');
+    if (left && Date.now() >= watch.endsAt - END_TOLERANCE_MS) {
+      this._advance();
+      return;
+    }
+    if (state.state === 'playing' && remainingMs != null) {
+      this._watch = { trackId: state.track_id, endsAt: Date.now() + remainingMs };
+      this._timer = setTimeout(() => this._advance(), Math.max(0, remainingMs - ADVANCE_LEAD_MS));
+    }
+  }
+
+  stop () {
+    this._disarm();
+  }
+}
+
+module.exports = { VirtualQueue };
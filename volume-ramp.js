@@ -0,0 +1,209 @@
+/**
+ * Volume ramps (fades) of a zone. One ramp runs at a time: starting another or cancel()
+ * ends the running one where it is. The volume follows a curve over the ramp time rather
+ * than a fixed number of steps, so a ramp ends on time even when setVolume calls are slow.
+ *
+ * Curves:
+ *   linear  equal volume steps
+ *   log     equal loudness steps (linear in dB down to -60 dB), so fades sound even
+ *   scurve  slow start and end, faster in the middle
+ *
+ * A sequence of ramps with other commands in between (e.g. a crossfade) takes a hold(), so
+ * it counts as one ramp: ramping stays true throughout, and cancel() or a ramp started by
+ * someone else ends the whole sequence (hold.cancelled).
+ *
+ * Emits 'ramping' (boolean) when a ramp or hold starts or ends, and 'progress' with
+ * { start, current, target, curve, progress (0–1), remainingMs } after each volume step.
+ */
+
+const { EventEmitter } = require('events');
+const { logger } = require('./logger.js');
+
+const FLOOR_DB = -60;
+
+function toDb (volume) {
+  return volume <= 0 ? FLOOR_DB : Math.max(FLOOR_DB, 20 * Math.log10(volume / 100));
+}
+
+function fromDb (db) {
+  return db <= FLOOR_DB ? 0 : 100 * Math.pow(10, db / 20);
+}
+
+// (start, target, t in 0–1) -> volume
+const CURVES = {
+  linear: (start, target, t) => start + (target - start) * t,
+  log: (start, target, t) => fromDb(toDb(start) + (toDb(target) - toDb(start)) * t),
+  scurve: (start, target, t) => start + (target - start) * t * t * (3 - 2 * t)
+};
+
+function clampVolume (volume) {
+  return Math.max(0, Math.min(100, Math.round(Number(volume) || 0)));
+}
+
+/** Validate a curve name (case-insensitive; default linear). Throws a 400 error for unknown curves. */
+function parseCurve (curve) {
+  if (curve == null || curve === '') return 'linear';
+  const name = String(curve).toLowerCase();
+  if (!CURVES[name]) {
+    const err = new Error(`Unknown ramp curve: ${curve} (use ${Object.keys(CURVES).join(', ')})`);
+    err.status = 400;
+    throw err;
+  }
+  return name;
+}
+
+class VolumeRamp extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {object} options.player hooks into the bridge:
+   *   getSpotify() -> SpotifyWebAPI | null
+   *   readVolume() -> Promise<number | null> the device volume now (fresh from Spotify)
+   *   getVolume() -> last known volume 0–100, used when readVolume fails
+   * @param {number} [options.minStepMs] shortest time between two setVolume calls
+   * @param {Logger} [options.log] logger (logger.js), e.g. a child with the zone
+   */
+  constructor ({ player, minStepMs = 100, log = logger }) {
+    super();
+    this.player = player;
+    this.minStepMs = minStepMs;
+    this.log = log;
+    this.active = null;
+    this._hold = null;
+  }
+
+  get ramping () {
+    return !!(this.active || this._hold);
+  }
+
+  /** Keep ramping true until release(hold); replaces (cancels) another caller's hold. */
+  hold () {
+    const wasRamping = this.ramping;
+    if (this._hold) this._hold.cancelled = true;
+    this._hold = { cancelled: false };
+    if (!wasRamping) this.emit('ramping', true);
+    return this._hold;
+  }
+
+  release (hold) {
+    if (this._hold !== hold) return;
+    this._hold = null;
+    if (!this.active) this.emit('ramping', false);
+  }
+
+  /** The device volume now; the last polled one if Spotify cannot be asked. */
+  async _deviceVolume () {
+    try {
+      const volume = await this.player.readVolume();
+      if (volume != null) return volume;
+    } catch (err) {
+      this.log.error('Ramp: reading the volume failed', { err });
+    }
+    const known = this.player.getVolume();
+    return known != null ? known : 0;
+  }
+
+  /**
+   * Ramp to target over seconds. Resolves with { completed, start, volume } when the ramp
+   * reaches the target (completed true) or is cancelled or replaced (completed false).
+   * @param {object} options
+   * @param {number} options.target 0–100
+   * @param {number} [options.seconds] ramp time (default 1)
+   * @param {number} [options.changePercent] largest volume change per step (default 1)
+   * @param {string} [options.curve] linear, log or scurve
+   * @param {number} [options.from] start volume, when the caller just set it (e.g. 0 before a fade in)
+   * @param {object} [options.hold] the caller's hold(); without it a running hold is cancelled
+   */
+  start ({ target, seconds, changePercent, curve, from, hold }) {
+    const ramp = {
+      target: clampVolume(target),
+      curve: parseCurve(curve),
+      durationMs: Math.max(0, (Number(seconds) || 1) * 1000),
+      changePercent: Math.max(1, Math.round(Number(changePercent) || 1)),
+      start: null,
+      current: null,
+      timer: null
+    };
+    const wasRamping = this.ramping;
+    const replaced = this.active;
+    if (replaced) this._end(false, false);
+    if (this._hold && this._hold !== hold) {
+      this._hold.cancelled = true;
+      this._hold = null;
+    }
+    this.active = ramp;
+    if (!wasRamping) this.emit('ramping', true);
+    // A replaced ramp knows the volume it left the device at
+    if (from == null && replaced && replaced.current != null) from = replaced.current;
+
+    return new Promise((resolve) => {
+      ramp.resolve = resolve;
+      const begin = from != null ? Promise.resolve(clampVolume(from)) : this._deviceVolume();
+      begin.then((start) => {
+        if (this.active !== ramp) return;
+        ramp.start = start;
+        ramp.current = start;
+        ramp.startedAt = Date.now();
+        const steps = Math.ceil(Math.abs(ramp.target - start) / ramp.changePercent) || 1;
+        ramp.stepMs = Math.max(this.minStepMs, Math.floor(ramp.durationMs / steps));
+        this._step(ramp);
+      });
+    });
+  }
+
+  async _step (ramp) {
+    const elapsed = Date.now() - ramp.startedAt;
+    const t = ramp.durationMs ? Math.min(1, elapsed / ramp.durationMs) : 1;
+    const volume = t >= 1 ? ramp.target : clampVolume(CURVES[ramp.curve](ramp.start, ramp.target, t));
+    if (volume !== ramp.current) {
+      const spotify = this.player.getSpotify();
+      if (spotify) {
+        try {
+          await spotify.setVolume(volume);
+        } catch (err) {
+          this.log.error('Ramp: setVolume failed', { err });
+        }
+      }
+      if (this.active !== ramp) return;
+      ramp.current = volume;
+      this.emit('progress', {
+        start: ramp.start,
+        current: volume,
+        target: ramp.target,
+        curve: ramp.curve,
+        progress: t,
+        remainingMs: Math.max(0, ramp.durationMs - elapsed)
+      });
+    }
+    if (t >= 1) {
+      this._end(true, true);
+      return;
+    }
+    // Next step on the ramp's own schedule, however long this one took
+    const due = ramp.startedAt + Math.ceil((elapsed + 1) / ramp.stepMs) * ramp.stepMs;
+    ramp.timer = setTimeout(() => this._step(ramp), Math.max(0, due - Date.now()));
+  }
+
+  _end (completed, emit) {
+    const ramp = this.active;
+    if (!ramp) return;
+    this.active = null;
+    clearTimeout(ramp.timer);
+    if (emit && !this._hold) this.emit('ramping', false);
+    ramp.resolve({ completed, start: ramp.start, volume: ramp.current });
+  }
+
+  /** End the running ramp (and hold) at the current volume. Returns false if none was running. */
+  cancel () {
+    if (!this.ramping) return false;
+    const hold = this._hold;
+    if (hold) {
+      hold.cancelled = true;
+      this._hold = null;
+    }
+    if (this.active) this._end(false, true);
+    else this.emit('ramping', false);
+    return true;
+  }
+}
+
+module.exports = { VolumeRamp, CURVES, parseCurve };
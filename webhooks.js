@@ -0,0 +1,261 @@
+/**
+ * Outbound webhooks: playback events (playback-events.js) are POSTed as JSON to configured
+ * URLs, e.g. so lighting or signage can react to a track change. Hooks are persisted as JSON
+ * ({ "hooks": [ ... ] }); the outcome of the last delivery is kept in memory only.
+ *
+ * Hook fields:
+ *   id        assigned when missing
+ *   name      display name
+ *   url       http(s) URL
+ *   events    event names, or ['*'] (default) for all
+ *   zones     zone names to listen to; empty (default) for all
+ *   secret    optional; signs each delivery (X-Bridge-Signature, see sign())
+ *   template  optional JSON body template; strings may contain {{path}} placeholders into
+ *             { event, zone, at, data }. A string that is only a placeholder keeps the value's
+ *             type (number, object, ...). Without a template the body is { event, zone, at, data }.
+ *   headers   extra request headers
+ *   retries   retries after a failed delivery (network error, timeout, 429 or 5xx), default 3,
+ *             with exponential backoff from 1 s
+ *   enabled   default true
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EVENTS } = require('./playback-events.js');
+const { logger } = require('./logger.js');
+
+const TIMEOUT_MS = 5000;
+const BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const MAX_RETRIES = 10;
+// The file holds HMAC secrets: owner only, like the token store
+const FILE_MODE = 0o600;
+
+function lookup (context, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value != null ? value[key] : undefined), context);
+}
+
+/** Fill {{path}} placeholders in a JSON template (objects, arrays and strings, recursively). */
+function renderTemplate (template, context) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+    if (whole) {
+      const value = lookup(context, whole[1]);
+      return value === undefined ? null : value;
+    }
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, keyPath) => {
+      const value = lookup(context, keyPath);
+      if (value == null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    });
+  }
+  if (Array.isArray(template)) return template.map(item => renderTemplate(item, context));
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, context)]));
+  }
+  return template;
+}
+
+/** HMAC-SHA256 (hex) of "<timestamp>.<body>", so a captured delivery can't be replayed later with a new timestamp. */
+function sign (secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function toList (value, field) {
+  if (value == null) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(item => {
+    if (typeof item !== 'string' && typeof item !== 'number') throw new Error(`${field} must be a list of names`);
+    return String(item).trim();
+  }).filter(Boolean);
+}
+
+/** Validate one hook and normalize it to the stored shape. */
+function normalizeHook (raw) {
+  if (!raw || typeof raw !== 'object') throw new Error('Webhook must be an object');
+  const name = raw.name ? String(raw.name) : '';
+  const where = name ? `Webhook "${name}"` : 'Webhook';
+  let url;
+  try {
+    url = new URL(String(raw.url || ''));
+  } catch (e) {
+    throw new Error(`${where} needs a valid url`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') throw new Error(`${where}: url must be http or https`);
+  const events = toList(raw.events, 'events');
+  const unknown = events.filter(e => e !== '*' && !EVENTS.includes(e));
+  if (unknown.length) throw new Error(`${where}: unknown event ${unknown.join(', ')} (use ${EVENTS.join(', ')} or *)`);
+  if (raw.headers != null && (typeof raw.headers !== 'object' || Array.isArray(raw.headers))) throw new Error(`${where}: headers must be an object`);
+  if (raw.template != null && typeof raw.template !== 'object' && typeof raw.template !== 'string') throw new Error(`${where}: template must be JSON`);
+  const retries = raw.retries != null ? Number(raw.retries) : 3;
+  if (!Number.isInteger(retries) || retries < 0 || retries > MAX_RETRIES) throw new Error(`${where}: retries must be 0–${MAX_RETRIES}`);
+  return {
+    id: raw.id ? String(raw.id) : crypto.randomBytes(4).toString('hex'),
+    name,
+    url: url.toString(),
+    events: events.length ? events : ['*'],
+    zones: toList(raw.zones, 'zones'),
+    secret: raw.secret ? String(raw.secret) : '',
+    template: raw.template != null ? raw.template : null,
+    headers: Object.fromEntries(Object.entries(raw.headers || {}).map(([k, v]) => [k, String(v)])),
+    retries,
+    enabled: raw.enabled !== false,
+    createdAt: raw.createdAt || new Date().toISOString()
+  };
+}
+
+class Webhooks {
+  /**
+   * @param {object} options
+   * @param {string} options.file JSON file the hooks are loaded from and saved to
+   * @param {string} [options.userAgent] User-Agent of deliveries
+   */
+  constructor ({ file, userAgent = 'spotify-controller-bridge' }) {
+    this.file = file;
+    this.userAgent = userAgent;
+    this.hooks = [];
+    this._lastDelivery = new Map();
+    this._retryTimers = new Set();
+    this._saving = Promise.resolve();
+  }
+
+  /** Whether any hook is enabled. */
+  get active () {
+    return this.hooks.some(hook => hook.enabled);
+  }
+
+  load () {
+    if (!fs.existsSync(this.file)) return;
+    const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+    this.hooks = (data.hooks || []).map(normalizeHook);
+  }
+
+  save () {
+    const write = this._saving.then(async () => {
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      await fs.promises.writeFile(tmp, JSON.stringify({ hooks: this.hooks }, null, 2) + '\n', { mode: FILE_MODE });
+      await fs.promises.rename(tmp, this.file);
+      await fs.promises.chmod(this.file, FILE_MODE);
+    });
+    this._saving = write.catch(() => {});
+    return write;
+  }
+
+  _find (id) {
+    const hook = this.hooks.find(h => h.id === String(id));
+    if (!hook) {
+      const err = new Error(`No webhook ${id}`);
+      err.status = 404;
+      throw err;
+    }
+    return hook;
+  }
+
+  /** A hook as the admin API shows it: the secret is never returned. */
+  describe (hook) {
+    const { secret, ...rest } = hook;
+    return { ...rest, hasSecret: !!secret, lastDelivery: this._lastDelivery.get(hook.id) || null };
+  }
+
+  list () {
+    return this.hooks.map(hook => this.describe(hook));
+  }
+
+  async add (raw) {
+    const hook = normalizeHook(raw);
+    if (this.hooks.some(h => h.id === hook.id)) throw new Error(`Webhook ${hook.id} already exists`);
+    this.hooks.push(hook);
+    await this.save();
+    return this.describe(hook);
+  }
+
+  /** Replace a hook's fields; the secret is kept unless a new one (or '' to remove it) is given. */
+  async update (id, raw) {
+    const existing = this._find(id);
+    const hook = normalizeHook({ ...existing, ...raw, id: existing.id, createdAt: existing.createdAt });
+    this.hooks[this.hooks.indexOf(existing)] = hook;
+    await this.save();
+    return this.describe(hook);
+  }
+
+  async remove (id) {
+    const hook = this._find(id);
+    this.hooks.splice(this.hooks.indexOf(hook), 1);
+    this._lastDelivery.delete(hook.id);
+    await this.save();
+    return this.describe(hook);
+  }
+
+  /** Send a 'test' event to one hook now (no retries); resolves with the delivery outcome. */
+  test (id) {
+    const hook = this._find(id);
+    return this._deliver(hook, { event: 'test', zone: null, at: new Date().toISOString(), data: {} }, 1, 1);
+  }
+
+  _matches (hook, { event, zone }) {
+    if (!hook.enabled) return false;
+    if (!hook.events.includes('*') && !hook.events.includes(event)) return false;
+    return !hook.zones.length || hook.zones.includes(zone);
+  }
+
+  /** Feed every bus event ({ zone, event, at, data }) in. */
+  handle (busEvent) {
+    for (const hook of this.hooks) {
+      if (this._matches(hook, busEvent)) this._deliver(hook, busEvent, 1, hook.retries + 1);
+    }
+  }
+
+  async _deliver (hook, busEvent, attempt, maxAttempts) {
+    const context = { event: busEvent.event, zone: busEvent.zone, at: busEvent.at, data: busEvent.data };
+    const body = JSON.stringify(hook.template != null ? renderTemplate(hook.template, context) : context);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'User-Agent': this.userAgent,
+      ...hook.headers,
+      'Content-Type': 'application/json',
+      'X-Bridge-Event': busEvent.event,
+      'X-Bridge-Timestamp': timestamp
+    };
+    if (hook.secret) headers['X-Bridge-Signature'] = `sha256=${sign(hook.secret, timestamp, body)}`;
+
+    let status = null;
+    let error = null;
+    let retryAfterMs = null;
+    try {
+      const res = await fetch(hook.url, { method: 'POST', headers, body, signal: AbortSignal.timeout(TIMEOUT_MS) });
+      status = res.status;
+      if (!res.ok) error = `HTTP ${res.status}`;
+      if (res.status === 429) retryAfterMs = (Number(res.headers.get('retry-after')) || 0) * 1000 || null;
+      await res.arrayBuffer().catch(() => {});
+    } catch (err) {
+      error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS} ms` : (err.cause && err.cause.message) || err.message;
+    }
+
+    const retryable = error && (status == null || status === 429 || status >= 500);
+    if (retryable && attempt < maxAttempts && this.hooks.includes(hook)) {
+      const delay = retryAfterMs || Math.min(MAX_BACKOFF_MS, BACKOFF_MS * 2 ** (attempt - 1));
+      return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+          this._retryTimers.delete(timer);
+          resolve(this._deliver(hook, busEvent, attempt + 1, maxAttempts));
+        }, delay);
+        this._retryTimers.add(timer);
+      });
+    }
+
+    const outcome = { at: new Date().toISOString(), event: busEvent.event, ok: !error, status, error, attempts: attempt };
+    this._lastDelivery.set(hook.id, outcome);
+    if (error) logger.error(`Webhook ${hook.name || hook.id}: ${busEvent.event} failed after ${attempt} attempt(s): ${error}`, { hook: hook.id, zone: busEvent.zone, status });
+    return outcome;
+  }
+
+  /** Drop pending retries. */
+  stop () {
+    for (const timer of this._retryTimers) clearTimeout(timer);
+    this._retryTimers.clear();
+  }
+}
+
+module.exports = { Webhooks, normalizeHook, renderTemplate, sign };
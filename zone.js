@@ -0,0 +1,1387 @@
+/**
+ * A playback zone: one Spotify account and device with its own poll loop, playback clock,
+ * volume ramp, cue list and last payload. Routes are mounted on an Express router and
+ * events go to a Socket.io namespace, so several zones can share one HTTP server.
+ * The default zone is mounted at the root for the Companion module.
+ */
+
+const express = require('express');
+const path = require('path');
+const { SpotifyWebAPI } = require('./spotify-web-api.js');
+const { PlaybackClock } = require('./playback-clock.js');
+const { CueList } = require('./cue-list.js');
+const { AccessControl } = require('./access-control.js');
+const { TrackRecorder } = require('./history.js');
+const library = require('./library.js');
+const { VirtualQueue } = require('./virtual-queue.js');
+const { DeviceManager } = require('./device-manager.js');
+const { VolumeRamp, parseCurve } = require('./volume-ramp.js');
+const { ExtendedState } = require('./extended-state.js');
+const { LoopRegion } = require('./loop-region.js');
+const { LiveFeed } = require('./live-feed.js');
+const { stateEvents } = require('./playback-events.js');
+const { Config } = require('./config.js');
+const { endpointOf } = require('./metrics.js');
+const { logger } = require('./logger.js');
+
+const DEFAULT_ZONE = 'default';
+const VERSION = '1.0.0-bridge';
+const TRACK_END_GRACE_MS = 500;
+// Socket.io room of the clients that asked for state_change_ext
+const EXTENDED_ROOM = 'state_ext';
+
+// Socket.io events that change playback: they need the operator role (or an allowlist entry),
+// are recorded in the audit log and history and trigger fast polling
+const CONTROL_EVENTS = new Set([
+  'play', 'pause', 'playToggle', 'next', 'previous', 'movePlayerPosition', 'setPlayerPosition',
+  'playtrack', 'playtrackincontext', 'volumeUp', 'volumeDown', 'setVolume', 'rampVolume',
+  'cancelRamp', 'fadeOutPause', 'playFadeIn', 'crossfadeTo',
+  'mute', 'unmute', 'repeatOn', 'repeatOff', 'shuffleOn', 'shuffleOff',
+  'repeatTrack', 'repeatContext', 'repeatCycle', 'loopA', 'loopB', 'loopRegion', 'loopClear',
+  'cueGo', 'cueBack', 'cueJump', 'cueStop',
+  'addToQueue', 'vqueueAdd', 'vqueueRemove', 'vqueueMove', 'vqueueClear', 'vqueueNext',
+  'transferPlayback'
+]);
+// Volume changes a running ramp would overwrite: refused (409) until it is over
+const RAMP_BLOCKED_COMMANDS = new Set(['volumeUp', 'volumeDown', 'setVolume', 'mute', 'unmute']);
+
+/**
+ * @param {object} options
+ * @param {string} options.name zone name (DEFAULT_ZONE for the root zone)
+ * @param {import('socket.io').Namespace} options.nsp Socket.io namespace for this zone
+ * @param {object} [options.credentials] { clientId, clientSecret, refreshToken, deviceId, deviceName, failover }
+ *   (failover: further device IDs or names to transfer to, in order, when the device goes offline);
+ *   device fields given here take precedence over the config's device target
+ * @param {Config} [options.config] settings (config.js); polling, control, device and ramp settings
+ *   are read as they are used and follow reloads. Default: built-in defaults
+ * @param {object} [options.spotifyClientOverride] client used instead of building a SpotifyWebAPI
+ * @param {string} options.cueListFile cue list JSON file
+ * @param {object} [options.tokenStore] refresh token store (token-store.js); the zone name is the key
+ * @param {AccessControl} [options.access] API keys and roles; default is open access
+ * @param {HistoryLog} [options.history] track and command history (history.js); none by default
+ * @param {EventEmitter} [options.events] bus for playback events (playback-events.js), emitted as 'event';
+ *   every state_change is also emitted as 'state' ({ zone, payload })
+ * @param {object} [options.metrics] bridge metrics (metrics.js createBridgeMetrics()); none by default
+ * @param {function(): boolean} [options.watched] true while something besides Socket.io clients (e.g. webhooks) follows the state, so polling does not go idle
+ * @param {string} [options.envPrefix] prefix of this zone's env vars, for log messages
+ * @returns {{ name, router, nsp, start, stop, getSpotify, getOAuthClient, authorize, getLastStatePayload, getHealth, resolveCommand, runCommand, handleWebSocket, wake }}
+ */
+function createZone (options) {
+  const { name, nsp, credentials = {}, spotifyClientOverride, cueListFile, tokenStore = null, access = new AccessControl(), history = null, events = null, metrics = null, watched = () => false, envPrefix = '', config = new Config() } = options;
+  const log = logger.child({ zone: name });
+  const controlEnabled = () => config.get('allowControl');
+  const trackRecorder = history ? new TrackRecorder({ zone: name, history }) : null;
+
+  let spotify = null;
+  let pollTimer = null;
+  let pollingActive = false;
+  let pollInFlight = false;
+  let fastPollUntil = 0;
+  let tickTimer = null;
+  const clock = new PlaybackClock();
+  let lastStatePayload = null;
+  let lastExtendedKey = null;
+  let lastNonZeroVolume = 50;
+  let rateLimitStatus = { rateLimited: false, retryAfterMs: 0, lastRateLimitAt: null };
+  let authStatus = { status: 'missing', message: 'Spotify not configured', updatedAt: null };
+  // Last poll that reached Spotify, and the last poll error (for /health)
+  let lastPollAt = null;
+  let lastPollError = null;
+
+  function mapSpotifyToPlaybackInfo (player) {
+    if (!player || !player.item) {
+      return {
+        name: '',
+        artist: '',
+        album: '',
+        duration: 0,
+        playbackPosition: 0,
+        trackId: '',
+        playerState: 'Stopped',
+        albumArtUrl: '',
+        deviceName: '',
+        deviceIsActive: false
+      };
+    }
+    const item = player.item;
+    const isTrack = item.type === 'track';
+    const name = item.name || '';
+    const artist = isTrack && item.artists && item.artists.length
+      ? item.artists.map(a => a.name).join(', ')
+      : (item.show && item.show.name) || '';
+    const album = isTrack && item.album ? item.album.name : '';
+    const duration = item.duration_ms || 0;
+    const playbackPosition = (player.progress_ms != null ? player.progress_ms : 0) / 1000;
+    const trackId = item.uri || '';
+    let playerState = 'Stopped';
+    if (player.is_playing === true) playerState = 'Playing';
+    else if (player.is_playing === false && (duration > 0 || playbackPosition > 0)) playerState = 'Paused';
+
+    const albumArtUrl = (isTrack && item.album && item.album.images && item.album.images.length && item.album.images[0].url)
+      ? item.album.images[0].url
+      : '';
+    const deviceName = (player.device && player.device.name) ? player.device.name : '';
+    const deviceIsActive = !!(player.device && player.device.is_active);
+
+    return {
+      name,
+      artist,
+      album,
+      duration,
+      playbackPosition,
+      trackId,
+      playerState,
+      albumArtUrl,
+      deviceName,
+      deviceIsActive
+    };
+  }
+
+  function mapSpotifyToState (player) {
+    const playbackInfo = mapSpotifyToPlaybackInfo(player);
+    const trackId = playbackInfo.trackId || '';
+    const position = playbackInfo.playbackPosition;
+    let state = 'stopped';
+    if (playbackInfo.playerState === 'Playing') state = 'playing';
+    else if (playbackInfo.playerState === 'Paused') state = 'paused';
+    const volume = (player && player.device && player.device.volume_percent != null)
+      ? player.device.volume_percent
+      : 0;
+    const repeatState = (player && player.repeat_state) || 'off';
+    const isRepeating = repeatState !== 'off';
+    const isShuffling = (player && player.shuffle_state) || false;
+
+    return {
+      track_id: trackId,
+      volume,
+      position,
+      state,
+      isRepeating,
+      isShuffling,
+      repeatState
+    };
+  }
+
+  function buildStateChangePayload (player) {
+    const playbackInfo = mapSpotifyToPlaybackInfo(player);
+    const state = mapSpotifyToState(player);
+    return { playbackInfo, state };
+  }
+
+  function payloadEquals (a, b) {
+    if (!a && !b) return true;
+    if (!a || !b) return false;
+    const s = (x) => JSON.stringify(x);
+    return s(a.playbackInfo) === s(b.playbackInfo) && s(a.state) === s(b.state);
+  }
+
+  /** Put a playback event on the server's bus for webhooks and other integrations. */
+  function emitEvent (event, data) {
+    if (events) events.emit('event', { zone: name, event, at: new Date().toISOString(), data });
+  }
+
+  function broadcastStateChange (payload) {
+    const previous = lastStatePayload;
+    lastStatePayload = payload;
+    nsp.emit('state_change', payload);
+    liveFeed.broadcast('state_change', payload);
+    emitExtended();
+    if (events) events.emit('state', { zone: name, payload });
+    for (const { event, data } of stateEvents(previous, payload)) emitEvent(event, data);
+    cueList.handleState(payload);
+    virtualQueue.handleState(payload, clock.remainingMs());
+    loopRegion.handleState(payload);
+    if (trackRecorder) trackRecorder.update(payload);
+  }
+
+  function getRateLimitStatus () {
+    if (spotify && typeof spotify.getThrottleStatus === 'function') {
+      const { rateLimited, retryAfterMs, lastRateLimitAt } = spotify.getThrottleStatus();
+      rateLimitStatus = { rateLimited, retryAfterMs, lastRateLimitAt };
+    }
+    return rateLimitStatus;
+  }
+
+  function onThrottle () {
+    nsp.emit('rate_limit_status', getRateLimitStatus());
+  }
+
+  function getAuthStatus () {
+    if (spotify && typeof spotify.getAuthStatus === 'function') authStatus = spotify.getAuthStatus();
+    return authStatus;
+  }
+
+  /** Spotify HTTP exchange (spotify-web-api.js 'request'): counted by endpoint and status. */
+  function onSpotifyRequest ({ method, url, status, durationMs }) {
+    if (!metrics) return;
+    const endpoint = endpointOf(url);
+    metrics.spotifyRequests.inc({ zone: name, method, endpoint, status });
+    metrics.spotifyRequestSeconds.observe({ zone: name, endpoint }, durationMs / 1000);
+    if (status === 429) metrics.rateLimitHits.inc({ zone: name });
+  }
+
+  function onAuthStatus (status) {
+    if (status.status === 'revoked') {
+      log.error('Spotify authorization lost: ' + status.message);
+      emitEvent('auth_failure', { status: status.status, message: status.message });
+    }
+    nsp.emit('auth_status', getAuthStatus());
+  }
+
+  /** A poll reached Spotify (with or without an active device). */
+  function pollSucceeded () {
+    lastPollAt = Date.now();
+    lastPollError = null;
+    if (metrics) metrics.lastPoll.set({ zone: name }, Math.floor(lastPollAt / 1000));
+  }
+
+  async function pollPlaybackState () {
+    if (!spotify) return;
+    const observe = metrics ? metrics.pollSeconds.startTimer({ zone: name }) : () => {};
+    try {
+      const player = await spotify.getPlaybackState({ priority: 'background' });
+      pollSucceeded();
+      observe({ result: 'ok' });
+      if (!player) devices.refreshSoon();
+      clock.update(player);
+      extendedState.update(player);
+      const payload = buildStateChangePayload(player);
+      if (payload.state && payload.state.volume > 0) {
+        lastNonZeroVolume = payload.state.volume;
+      }
+      if (!payloadEquals(payload, lastStatePayload)) {
+        broadcastStateChange(payload);
+      } else {
+        // e.g. repeat track vs context or the device type, which the legacy payload does not show
+        emitExtended();
+      }
+    } catch (err) {
+      if (err.status === 429) {
+        observe({ result: 'rate_limited' });
+        lastPollError = { message: err.message, at: new Date().toISOString() };
+        return;
+      }
+      if (isNoActiveDevice(err)) {
+        pollSucceeded();
+        observe({ result: 'ok' });
+        // Reported through devices_change instead of the log
+        devices.refreshSoon();
+        return;
+      }
+      observe({ result: 'error' });
+      lastPollError = { message: err.message, at: new Date().toISOString() };
+      log.error('Poll error', { err });
+    }
+  }
+
+  function isNoActiveDevice (err) {
+    return err.status === 404 && /no active device/i.test(err.message || '');
+  }
+
+  function adaptivePollDelay () {
+    const intervalMs = config.get('polling.intervalMs');
+    if (Date.now() < fastPollUntil) return intervalMs;
+    let delay = config.get('polling.pausedMs');
+    if (nsp.sockets.size === 0 && liveFeed.size === 0 && !watched()) delay = config.get('polling.idleMs');
+    else if (clock.isPlaying) delay = config.get('polling.playingMs');
+    if (clock.isPlaying) {
+      // Poll just after the track should have ended to pick up the next one
+      const remaining = clock.remainingMs();
+      if (remaining != null) delay = Math.min(delay, Math.max(intervalMs, remaining + TRACK_END_GRACE_MS));
+    }
+    return delay;
+  }
+
+  function nextPollDelay () {
+    const { rateLimited, retryAfterMs, lastRateLimitAt } = getRateLimitStatus();
+    if (rateLimited) return Math.max(config.get('polling.intervalMs'), retryAfterMs);
+    const delay = config.get('polling.adaptive') ? adaptivePollDelay() : config.get('polling.intervalMs');
+    if (lastRateLimitAt && Date.now() - lastRateLimitAt < config.get('rateLimit.cooldownMs')) {
+      return delay * config.get('rateLimit.pollFactor');
+    }
+    return delay;
+  }
+
+  function schedulePoll (delayMs) {
+    if (!pollingActive) return;
+    if (pollTimer) clearTimeout(pollTimer);
+    pollTimer = setTimeout(runPoll, delayMs);
+  }
+
+  async function runPoll () {
+    pollTimer = null;
+    // A poll still in flight reschedules itself when it finishes
+    if (pollInFlight) return;
+    pollInFlight = true;
+    try {
+      await pollPlaybackState();
+    } finally {
+      pollInFlight = false;
+    }
+    if (pollingActive && !pollTimer) schedulePoll(nextPollDelay());
+  }
+
+  /** A command changed playback: poll at the fast rate for polling.fastWindowMs. */
+  function markControlActivity () {
+    fastPollUntil = Date.now() + config.get('polling.fastWindowMs');
+    if (pollTimer) schedulePoll(Math.min(config.get('polling.intervalMs'), 300));
+  }
+
+  function currentPosition () {
+    return clock.positionMs() / 1000;
+  }
+
+  /** Advance the cached payload from the local clock between polls. */
+  function tickPosition () {
+    if (!lastStatePayload || !clock.isPlaying || clock.trackId !== lastStatePayload.playbackInfo.trackId) return;
+    const position = currentPosition();
+    nsp.emit('position_tick', {
+      trackId: clock.trackId,
+      position,
+      duration: clock.durationMs,
+      isPlaying: clock.isPlaying
+    });
+    const payload = {
+      playbackInfo: { ...lastStatePayload.playbackInfo, playbackPosition: position },
+      state: { ...lastStatePayload.state, position }
+    };
+    if (!payloadEquals(payload, lastStatePayload)) broadcastStateChange(payload);
+  }
+
+  function startPolling () {
+    stopPolling();
+    pollingActive = true;
+    schedulePoll(0);
+    tickTimer = setInterval(tickPosition, config.get('polling.positionTickMs'));
+  }
+
+  function stopPolling () {
+    pollingActive = false;
+    if (pollTimer) {
+      clearTimeout(pollTimer);
+      pollTimer = null;
+    }
+    if (tickTimer) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+    }
+  }
+
+  function attachSpotify (client) {
+    spotify = client;
+    authStatus = { status: 'unknown', message: '', updatedAt: null };
+    if (typeof spotify.on === 'function') {
+      spotify.on('throttle', onThrottle);
+      spotify.on('auth_status', onAuthStatus);
+      spotify.on('request', onSpotifyRequest);
+    }
+    startPolling();
+    devices.start();
+  }
+
+  // ---- Devices ----
+
+  /** Device ID, name and failover list: from the credentials if set there, else from the config. */
+  function deviceTarget () {
+    const configured = config.deviceTarget(name, DEFAULT_ZONE);
+    return {
+      deviceId: credentials.deviceId || configured.deviceId,
+      deviceName: credentials.deviceName || configured.deviceName,
+      failover: credentials.failover && credentials.failover.length ? credentials.failover : configured.failover
+    };
+  }
+
+  function preferredDevices () {
+    const { deviceId, deviceName, failover } = deviceTarget();
+    return [...new Set([deviceId, deviceName, ...(failover || [])].filter(Boolean))];
+  }
+
+  const devices = new DeviceManager({
+    getSpotify: () => spotify,
+    preferred: preferredDevices(),
+    intervalMs: config.get('devices.pollMs'),
+    transferOnStart: config.get('devices.autoTransferOnStart'),
+    isPlaying: () => !!(lastStatePayload && lastStatePayload.state.state === 'playing'),
+    log
+  });
+  devices.on('change', (deviceState) => nsp.emit('devices_change', deviceState));
+  devices.on('failover', () => schedulePoll(0));
+
+  async function initSpotify (authorized = null) {
+    const { clientId, clientSecret } = credentials;
+    const { deviceId, deviceName } = deviceTarget();
+    const refreshToken = (authorized && authorized.refreshToken) || credentials.refreshToken;
+    let stored = null;
+    if (tokenStore) {
+      try {
+        stored = await tokenStore.get(name);
+      } catch (e) {
+        log.error('Token store read failed', { err: e });
+      }
+    }
+    const authFlow = (authorized && authorized.flow) || (stored && stored.flow) || (clientSecret ? 'secret' : 'pkce');
+    if (!clientId || (authFlow === 'secret' && !clientSecret) || (!refreshToken && !(stored && stored.refreshToken))) {
+      log.warn(`Spotify credentials missing (${envPrefix}SPOTIFY_CLIENT_ID, ${envPrefix}SPOTIFY_CLIENT_SECRET, and ${envPrefix}SPOTIFY_REFRESH_TOKEN or a token from /auth/login or npm run auth). State polling disabled.`);
+      return;
+    }
+    attachSpotify(new SpotifyWebAPI({
+      clientId,
+      clientSecret,
+      refreshToken,
+      authFlow,
+      deviceId: deviceId || null,
+      deviceName: deviceName || null,
+      tokenStore,
+      tokenKey: name,
+      logger: log
+    }));
+  }
+
+  /** Client credentials for the in-bridge OAuth flow. */
+  function getOAuthClient () {
+    return { clientId: credentials.clientId, clientSecret: credentials.clientSecret };
+  }
+
+  /** Store a newly authorized refresh token and start (or re-point) the Spotify client without a restart. */
+  async function authorize (refreshToken, flow) {
+    if (tokenStore) await tokenStore.set(name, { refreshToken, flow });
+    if (spotify && typeof spotify.setRefreshToken === 'function') {
+      spotify.setRefreshToken(refreshToken, flow);
+      schedulePoll(0);
+    } else if (!spotify) {
+      await initSpotify({ refreshToken, flow });
+    }
+    log.info('Spotify authorized (' + flow + ' flow)');
+  }
+
+  // ---- Volume ramps ----
+
+  const volumeRamp = new VolumeRamp({
+    player: {
+      getSpotify: () => spotify,
+      readVolume: async () => {
+        const player = spotify ? await spotify.getPlaybackState() : null;
+        return player && player.device ? player.device.volume_percent : null;
+      },
+      getVolume: () => (lastStatePayload && lastStatePayload.state ? lastStatePayload.state.volume : null)
+    },
+    minStepMs: config.get('ramps.minStepMs'),
+    log
+  });
+  volumeRamp.on('ramping', (ramping) => {
+    nsp.emit('ramping_state', ramping);
+    liveFeed.broadcast('ramping_state', ramping);
+    if (!ramping && pollingActive) pollPlaybackState();
+  });
+  volumeRamp.on('progress', (progress) => nsp.emit('ramp_progress', progress));
+
+  // ---- SSE and plain WebSocket subscribers (live-feed.js) ----
+
+  const liveFeed = new LiveFeed({
+    snapshot: (principal) => [
+      ['control_status', controlEnabled() && access.canControl(principal)],
+      ...(lastStatePayload ? [['state_change', lastStatePayload]] : []),
+      ['ramping_state', volumeRamp.ramping]
+    ]
+  });
+  // First subscriber after an idle period: refresh now instead of waiting out polling.idleMs
+  liveFeed.on('client', (count) => {
+    if (count === 1 && nsp.sockets.size === 0 && pollTimer) schedulePoll(0);
+  });
+
+  /**
+   * The ramp commands set up and return { done } once the ramp is running; done resolves
+   * with the ramp result ({ completed, start, volume }) after the ramp and what follows it.
+   */
+  function startRamp (target, changePercent, seconds, curve) {
+    return { done: volumeRamp.start({ target, changePercent, seconds, curve }) };
+  }
+
+  /** Fade to 0, pause, then put the volume back where the fade started so the next play is audible. */
+  function fadeOutPause (seconds, curve) {
+    const ramp = volumeRamp.start({ target: 0, seconds, curve });
+    const done = ramp.then(async (result) => {
+      if (!result.completed) return result;
+      await spotify.pause();
+      if (result.start) await spotify.setVolume(result.start);
+      return result;
+    });
+    return { done };
+  }
+
+  /** Start playback at 0 and fade in to volume (default: the volume before the last fade out or mute). */
+  async function playFadeIn (volume, seconds, curve) {
+    parseCurve(curve);
+    const target = volume != null && volume !== '' ? Number(volume) : (currentVolume() || lastNonZeroVolume || 50);
+    volumeRamp.cancel();
+    await spotify.setVolume(0);
+    await spotify.play();
+    return { done: volumeRamp.start({ target, seconds, curve, from: 0 }) };
+  }
+
+  function optionalSeconds (value, field) {
+    if (value == null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) {
+      const err = new Error(`${field} must be 0 or more seconds`);
+      err.status = 400;
+      throw err;
+    }
+    return n;
+  }
+
+  /**
+   * Fade the current track out, switch to track (in context, if given) at offset and fade in
+   * to options.volume or the volume the fade out started from. It holds the ramp throughout,
+   * so ramping_state stays true until the fade in ends and cancelRamp stops the whole sequence.
+   * @param {object} [options] { offset, seconds (each fade), fadeOut, fadeIn, volume, curve }
+   */
+  function crossfadeTo (track, context, options = {}) {
+    if (!track && !context) {
+      const err = new Error('Track or context URI is required');
+      err.status = 400;
+      throw err;
+    }
+    const curve = parseCurve(options.curve);
+    const seconds = optionalSeconds(options.seconds, 'seconds');
+    const fadeDefault = seconds != null ? seconds : config.get('ramps.crossfadeSeconds');
+    const fadeOutValue = optionalSeconds(options.fadeOut, 'fadeOut');
+    const fadeInValue = optionalSeconds(options.fadeIn, 'fadeIn');
+    const fadeOut = fadeOutValue != null ? fadeOutValue : fadeDefault;
+    const fadeIn = fadeInValue != null ? fadeInValue : fadeDefault;
+    const offset = optionalSeconds(options.offset, 'offset') || 0;
+    const volume = options.volume != null && options.volume !== '' ? Number(options.volume) : null;
+
+    const hold = volumeRamp.hold();
+    const done = (async () => {
+      let start = currentVolume();
+      if (clock.isPlaying && fadeOut > 0) {
+        const out = await volumeRamp.start({ target: 0, seconds: fadeOut, curve, hold });
+        if (!out.completed) return out;
+        start = out.start;
+      } else {
+        await spotify.setVolume(0);
+      }
+      const cancelled = { completed: false, start, volume: 0 };
+      if (hold.cancelled) return cancelled;
+      if (context) await spotify.playTrackInContext(track, context);
+      else await spotify.playTrack(track);
+      if (offset > 0) await spotify.seek(offset * 1000);
+      if (hold.cancelled) return cancelled;
+      const target = volume != null ? volume : (start || lastNonZeroVolume || 50);
+      if (fadeIn > 0) {
+        const result = await volumeRamp.start({ target, seconds: fadeIn, curve, from: 0, hold });
+        return { ...result, start };
+      }
+      await spotify.setVolume(target);
+      return { completed: true, start, volume: target };
+    })().finally(() => volumeRamp.release(hold));
+    return { done };
+  }
+
+  // ---- Cue list ----
+
+  const cueList = new CueList({
+    file: path.resolve(cueListFile),
+    player: {
+      getSpotify: () => spotify,
+      getVolume: () => (lastStatePayload && lastStatePayload.state ? lastStatePayload.state.volume : null),
+      rampVolume: (options) => volumeRamp.start(options)
+    }
+  });
+  try {
+    cueList.load();
+  } catch (e) {
+    log.error('Cue list load failed', { err: e });
+  }
+  cueList.on('state', (cueState) => nsp.emit('cue_state', cueState));
+  cueList.on('error', (err) => log.error('Cue failed', { err }));
+
+  const virtualQueue = new VirtualQueue({
+    player: {
+      getSpotify: () => spotify,
+      describe: async (uri) => {
+        if (!spotify || typeof spotify.getTrack !== 'function') return null;
+        const { name, artist, album, duration, albumArtUrl } = library.simplifyItem(await spotify.getTrack(uri));
+        return { name, artist, album, duration, albumArtUrl };
+      },
+      // A running cue owns playback
+      canAdvance: () => cueList.phase === 'idle'
+    }
+  });
+  virtualQueue.on('change', (queueState) => {
+    nsp.emit('queue_change', queueState);
+    emitExtended();
+  });
+  virtualQueue.on('error', (err) => log.error('Queue failed', { err }));
+
+  // ---- Repeat and A–B loop ----
+
+  const REPEAT_CYCLE = { off: 'context', context: 'track', track: 'off' };
+
+  /** Next repeat state in the order of Spotify's repeat button; reads the current one fresh. */
+  async function cycleRepeat () {
+    const player = await spotify.getPlaybackState();
+    const next = REPEAT_CYCLE[(player && player.repeat_state) || 'off'] || 'off';
+    await spotify.setRepeat(next);
+    return next;
+  }
+
+  const loopRegion = new LoopRegion({
+    player: {
+      seek: async (positionMs) => {
+        await spotify.seek(positionMs);
+        clock.seek(positionMs);
+        markControlActivity();
+      },
+      positionMs: () => clock.positionMs()
+    }
+  });
+  loopRegion.on('change', (loopState) => nsp.emit('loop_state', loopState));
+  loopRegion.on('error', (err) => log.error('Loop failed', { err }));
+
+  function positionOrNow (seconds) {
+    return seconds == null || seconds === '' ? currentPosition() : seconds;
+  }
+
+  function currentTrackId () {
+    return lastStatePayload ? lastStatePayload.state.track_id : '';
+  }
+
+  // ---- Extended state (state_change_ext) ----
+
+  const extendedState = new ExtendedState({
+    player: {
+      getSpotify: () => spotify,
+      bridgeNext: () => virtualQueue.items[0] || null
+    },
+    log
+  });
+  extendedState.on('change', () => emitExtended());
+
+  /** Send state_change_ext to the clients that asked for it, when it changed. */
+  function emitExtended () {
+    if (!lastStatePayload || !nsp.adapter.rooms.has(EXTENDED_ROOM)) return;
+    const payload = extendedState.build(lastStatePayload);
+    const key = JSON.stringify(payload);
+    if (key === lastExtendedKey) return;
+    lastExtendedKey = key;
+    nsp.to(EXTENDED_ROOM).emit('state_change_ext', payload);
+  }
+
+  /** Spotify's own queue, so the extended state's next track is looked up again. */
+  async function addToSpotifyQueue (track) {
+    await spotify.addToQueue(track);
+    extendedState.invalidateNext();
+  }
+
+  // ---- Commands for automations (scheduler, ...) ----
+
+  function currentVolume () {
+    return (lastStatePayload && lastStatePayload.state && lastStatePayload.state.volume != null) ? lastStatePayload.state.volume : 50;
+  }
+
+  // Same behaviour as the REST and Socket.io commands; the ramp commands resolve when the ramp ends
+  const commands = {
+    play: () => spotify.play(),
+    pause: () => spotify.pause(),
+    playToggle: async () => {
+      const player = await spotify.getPlaybackState();
+      if (player && player.is_playing) await spotify.pause();
+      else await spotify.play();
+    },
+    next: () => spotify.next(),
+    previous: () => spotify.previous(),
+    playTrack: (track) => spotify.playTrack(track),
+    playTrackInContext: (track, context) => spotify.playTrackInContext(track, context),
+    movePlayerPosition: (seconds) => spotify.seek(Math.max(0, (currentPosition() + (Number(seconds) || 0)) * 1000)),
+    setPlayerPosition: (seconds) => spotify.seek(Math.max(0, Number(seconds) || 0) * 1000),
+    volumeUp: () => spotify.setVolume(Math.min(100, currentVolume() + 10)),
+    volumeDown: () => spotify.setVolume(Math.max(0, currentVolume() - 10)),
+    setVolume: (volume) => spotify.setVolume(Math.max(0, Math.min(100, Math.round(Number(volume) || 0)))),
+    rampVolume: (target, changePercent, seconds, curve) => startRamp(target, changePercent, seconds, curve).done,
+    cancelRamp: () => volumeRamp.cancel(),
+    fadeOutPause: (seconds, curve) => fadeOutPause(seconds, curve).done,
+    playFadeIn: async (volume, seconds, curve) => (await playFadeIn(volume, seconds, curve)).done,
+    crossfadeTo: (track, context, options) => crossfadeTo(track, context, options).done,
+    mute: () => spotify.setVolume(0),
+    unmute: () => spotify.setVolume(lastNonZeroVolume || 50),
+    repeatOn: () => spotify.setRepeat('context'),
+    repeatOff: () => spotify.setRepeat('off'),
+    repeatTrack: () => spotify.setRepeat('track'),
+    repeatContext: () => spotify.setRepeat('context'),
+    repeatCycle: () => cycleRepeat(),
+    setRepeat: (state) => spotify.setRepeat(state),
+    shuffleOn: () => spotify.setShuffle(true),
+    shuffleOff: () => spotify.setShuffle(false),
+    setShuffle: (on) => spotify.setShuffle(on),
+    transferPlayback: (device, play) => devices.transfer(device, play),
+    cueGo: () => cueList.go(),
+    cueBack: () => cueList.back(),
+    cueJump: (n) => cueList.jump(n),
+    cueStop: () => cueList.stop(),
+    addToQueue: (track) => addToSpotifyQueue(track),
+    vqueueAdd: (track, position) => virtualQueue.add(track, position),
+    vqueueRemove: (id) => virtualQueue.remove(id),
+    vqueueMove: (id, position) => virtualQueue.move(id, position),
+    vqueueNext: () => virtualQueue.next(),
+    vqueueClear: () => virtualQueue.clear(),
+    loopA: (seconds) => loopRegion.setA(currentTrackId(), positionOrNow(seconds)),
+    loopB: (seconds) => loopRegion.setB(currentTrackId(), positionOrNow(seconds)),
+    loopRegion: (start, end) => loopRegion.set(currentTrackId(), start, end),
+    loopClear: () => loopRegion.clear()
+  };
+  const commandNames = new Map(Object.keys(commands).map(c => [c.toLowerCase(), c]));
+
+  /** Canonical name of a command (case-insensitive), or null if there is no such command. */
+  function resolveCommand (command) {
+    return commandNames.get(String(command).toLowerCase()) || null;
+  }
+
+  /**
+   * Run a command on behalf of a non-interactive caller. The caller's principal must be
+   * allowed to run it; the command is audited and recorded like a REST or Socket.io command.
+   * Volume commands fail with status 409 while a ramp runs, as over REST.
+   * @param {string} command e.g. 'playTrackInContext'
+   * @param {Array} [args]
+   * @param {object} source { principal, via, ...details for the audit entry }
+   */
+  async function runCommand (command, args = [], { principal, ...details } = {}) {
+    const resolved = resolveCommand(command);
+    if (!resolved) throw new Error(`Unknown command: ${command}`);
+    if (!controlEnabled()) throw new Error('Control disabled');
+    if (!spotify) throw new Error('Spotify not configured');
+    if (!access.can(principal, resolved)) throw new Error(`Not permitted: ${resolved}`);
+    if (RAMP_BLOCKED_COMMANDS.has(resolved) && volumeRamp.ramping) {
+      const err = new Error('Volume ramping in progress');
+      err.status = 409;
+      throw err;
+    }
+    recordCommand(principal, resolved, { args: args.length ? args : undefined, ...details });
+    markControlActivity();
+    return commands[resolved](...args);
+  }
+
+  // ---- REST GET endpoints (match spotify-controller) ----
+
+  const router = express.Router();
+
+  router.get('/version', (req, res) => {
+    res.send(VERSION);
+  });
+
+  router.get('/control_status', (req, res) => {
+    res.send(controlEnabled() && access.canControl(req.principal) ? 'true' : 'false');
+  });
+
+  router.get('/rate_limit_status', (req, res) => {
+    res.json(getRateLimitStatus());
+  });
+
+  router.get('/auth/status', (req, res) => {
+    res.json(getAuthStatus());
+  });
+
+  // Live state_change, ramping_state and control_status from the cache (see live-feed.js)
+  router.get('/events', (req, res) => {
+    liveFeed.addSse(res, req.principal);
+  });
+
+  // ?extended=1 adds the `extended` object of state_change_ext
+  router.get('/state', async (req, res) => {
+    const extended = req.query.extended === '1' || req.query.extended === 'true';
+    try {
+      if (!spotify) {
+        const payload = { playbackInfo: mapSpotifyToPlaybackInfo(null), state: mapSpotifyToState(null) };
+        return res.json(extended ? extendedState.build(payload) : payload);
+      }
+      const player = await spotify.getPlaybackState();
+      const payload = buildStateChangePayload(player);
+      if (!extended) return res.json(payload);
+      extendedState.update(player);
+      await extendedState.refresh(payload.playbackInfo.trackId);
+      res.json(extendedState.build(payload));
+    } catch (e) {
+      sendStateError(res, e);
+    }
+  });
+
+  /** /state failures as JSON, with a status and reason saying what went wrong. */
+  function sendStateError (res, err) {
+    if (err.status === 429) {
+      res.set('Retry-After', String(Math.ceil((err.retryAfterMs || 0) / 1000)));
+      return res.status(429).json({ error: err.message, reason: 'rate_limited', retryAfterMs: err.retryAfterMs || 0 });
+    }
+    if (isNoActiveDevice(err)) {
+      return res.status(409).json({ error: devices.getState().message || err.message, reason: 'no_active_device' });
+    }
+    const auth = getAuthStatus();
+    if (err.authRevoked || auth.status === 'missing' || auth.status === 'revoked') {
+      return res.status(503).json({ error: err.message, reason: 'auth', auth });
+    }
+    if (err.network || err.status >= 500) return res.status(502).json({ error: err.message, reason: 'spotify_unavailable' });
+    res.status(500).json({ error: err.message, reason: 'internal' });
+  }
+
+  function sendControlError (res, err) {
+    if (err.status === 429) {
+      res.set('Retry-After', String(Math.ceil((err.retryAfterMs || 0) / 1000)));
+      return res.status(429).send(err.message);
+    }
+    if (isNoActiveDevice(err)) {
+      devices.refreshSoon();
+      return res.status(409).send(devices.getState().message || err.message);
+    }
+    log.error('Control request failed', { route: res.req.path, principal: res.req.principal && res.req.principal.name, err });
+    res.status(500).send(err.message);
+  }
+
+  /** Audit log entry plus history record for a control command. */
+  function recordCommand (principal, command, details) {
+    const entry = access.audit(principal, command, { zone: name, ...details });
+    if (history) history.recordCommand(entry);
+    if (metrics) metrics.commands.inc({ zone: name, command, source: details.via || 'unknown' });
+  }
+
+  /** Command name of a REST route: /playTrack/:track -> playTrack */
+  function routeCommand (req) {
+    return req.route.path.split('/')[1];
+  }
+
+  /**
+   * Check that control is enabled, Spotify is configured and the caller's key may run this
+   * route's command, then record it in the audit log. Responds and returns false otherwise.
+   * @param {string} [command] for routes whose path is not the command name
+   */
+  function controlAllowed (req, res, command = routeCommand(req)) {
+    if (!controlEnabled()) {
+      res.status(403).send('Control disabled');
+      return false;
+    }
+    if (!spotify) {
+      res.status(503).send('Spotify not configured');
+      return false;
+    }
+    if (!access.can(req.principal, command)) {
+      res.status(403).send(`Not permitted: ${command}`);
+      return false;
+    }
+    const args = Object.values(req.params);
+    recordCommand(req.principal, command, { args: args.length ? args : undefined, via: 'rest', ip: req.ip });
+    markControlActivity();
+    return true;
+  }
+
+  function runControl (res, fn) {
+    Promise.resolve(fn()).then(() => res.send('OK')).catch(err => sendControlError(res, err));
+  }
+
+  function restControl (req, res, fn) {
+    if (controlAllowed(req, res)) runControl(res, fn);
+  }
+
+  /** Like sendControlError, but bad input (400), unknown items (404) and conflicts (409) keep their status. */
+  function sendRequestError (res, err) {
+    if ([400, 404, 409].includes(err.status) && !isNoActiveDevice(err)) return res.status(err.status).send(err.message);
+    sendControlError(res, err);
+  }
+
+  /** restControl for commands whose input errors should reach the client as 400/404. */
+  function requestControl (req, res, fn, command) {
+    if (!controlAllowed(req, res, command)) return;
+    Promise.resolve()
+      .then(fn)
+      .then(() => res.send('OK'))
+      .catch(err => sendRequestError(res, err));
+  }
+
+  router.get('/play', (req, res) => restControl(req, res, () => spotify.play()));
+  router.get('/pause', (req, res) => restControl(req, res, () => spotify.pause()));
+  router.get('/playToggle', async (req, res) => {
+    if (!controlAllowed(req, res)) return;
+    try {
+      const player = await spotify.getPlaybackState();
+      if (player && player.is_playing) await spotify.pause();
+      else await spotify.play();
+      res.send('OK');
+    } catch (e) {
+      sendControlError(res, e);
+    }
+  });
+  router.get('/next', (req, res) => restControl(req, res, () => spotify.next()));
+  router.get('/previous', (req, res) => restControl(req, res, () => spotify.previous()));
+
+  router.get('/playTrack/:track', (req, res) => {
+    restControl(req, res, () => spotify.playTrack(req.params.track));
+  });
+
+  router.get('/playTrackInContext/:track/:context', (req, res) => {
+    restControl(req, res, () => spotify.playTrackInContext(req.params.track, req.params.context));
+  });
+
+  router.get('/movePlayerPosition/:seconds', (req, res) => {
+    const delta = Number(req.params.seconds) || 0;
+    const positionMs = Math.max(0, (currentPosition() + delta) * 1000);
+    restControl(req, res, () => spotify.seek(positionMs));
+  });
+
+  router.get('/setPlayerPosition/:seconds', (req, res) => {
+    const sec = Math.max(0, Number(req.params.seconds) || 0);
+    restControl(req, res, () => spotify.seek(sec * 1000));
+  });
+
+  router.get('/volumeUp', (req, res) => {
+    if (!controlAllowed(req, res)) return;
+    if (volumeRamp.ramping) return res.status(409).send('Volume ramping in progress');
+    const currentPayload = lastStatePayload;
+    const v = (currentPayload && currentPayload.state && currentPayload.state.volume != null) ? currentPayload.state.volume : 50;
+    runControl(res, () => spotify.setVolume(Math.min(100, v + 10)));
+  });
+
+  router.get('/volumeDown', (req, res) => {
+    if (!controlAllowed(req, res)) return;
+    if (volumeRamp.ramping) return res.status(409).send('Volume ramping in progress');
+    const currentPayload = lastStatePayload;
+    const v = (currentPayload && currentPayload.state && currentPayload.state.volume != null) ? currentPayload.state.volume : 50;
+    runControl(res, () => spotify.setVolume(Math.max(0, v - 10)));
+  });
+
+  router.get('/setVolume/:volume', (req, res) => {
+    if (!controlAllowed(req, res)) return;
+    if (volumeRamp.ramping) return res.status(409).send('Volume ramping in progress');
+    const vol = Math.max(0, Math.min(100, Math.round(Number(req.params.volume) || 0)));
+    runControl(res, () => spotify.setVolume(vol));
+  });
+
+  /**
+   * Ramp routes answer once the ramp is running, or with ?wait=true when it is over:
+   * OK if it reached its target, 409 if it was cancelled or replaced.
+   */
+  function rampControl (req, res, fn) {
+    if (!controlAllowed(req, res)) return;
+    const wait = req.query.wait === 'true' || req.query.wait === '1';
+    Promise.resolve()
+      .then(fn)
+      .then(({ done }) => {
+        if (!wait) {
+          res.send('OK');
+          return done.catch(err => log.error('Ramp failed', { route: req.path, principal: req.principal.name, err }));
+        }
+        return done.then((result) => {
+          if (result.completed) res.send('OK');
+          else res.status(409).send('Ramp cancelled');
+        });
+      })
+      .catch(err => sendRequestError(res, err));
+  }
+
+  router.get('/rampVolume/:volume/:changePercent/:rampTime', (req, res) => {
+    const { volume, changePercent, rampTime } = req.params;
+    rampControl(req, res, () => startRamp(volume, changePercent, rampTime, req.query.curve));
+  });
+  router.get('/crossfadeTo/:track', (req, res) => {
+    rampControl(req, res, () => crossfadeTo(req.params.track, null, req.query));
+  });
+  router.get('/crossfadeTo/:track/:context', (req, res) => {
+    rampControl(req, res, () => crossfadeTo(req.params.track, req.params.context, req.query));
+  });
+  router.get('/cancelRamp', (req, res) => restControl(req, res, () => volumeRamp.cancel()));
+  router.get('/fadeOutPause/:rampTime', (req, res) => {
+    rampControl(req, res, () => fadeOutPause(req.params.rampTime, req.query.curve));
+  });
+  router.get('/playFadeIn/:rampTime', (req, res) => {
+    rampControl(req, res, () => playFadeIn(req.query.volume, req.params.rampTime, req.query.curve));
+  });
+
+  router.get('/mute', (req, res) => {
+    if (!controlAllowed(req, res)) return;
+    if (volumeRamp.ramping) return res.status(409).send('Volume ramping in progress');
+    runControl(res, () => spotify.setVolume(0));
+  });
+  router.get('/unmute', (req, res) => {
+    if (!controlAllowed(req, res)) return;
+    if (volumeRamp.ramping) return res.status(409).send('Volume ramping in progress');
+    runControl(res, () => spotify.setVolume(lastNonZeroVolume || 50));
+  });
+  router.get('/repeatOn', (req, res) => restControl(req, res, () => spotify.setRepeat('context')));
+  router.get('/repeatOff', (req, res) => restControl(req, res, () => spotify.setRepeat('off')));
+  router.get('/repeatTrack', (req, res) => restControl(req, res, () => spotify.setRepeat('track')));
+  router.get('/repeatContext', (req, res) => restControl(req, res, () => spotify.setRepeat('context')));
+  router.get('/repeatCycle', (req, res) => restControl(req, res, () => cycleRepeat()));
+
+  // ---- A–B loop ----
+
+  router.get('/loop_state', (req, res) => {
+    res.json(loopRegion.getState());
+  });
+  // Without a position, A and B are set to where playback is now
+  router.get('/loopA', (req, res) => requestControl(req, res, () => commands.loopA(req.query.position)));
+  router.get('/loopB', (req, res) => requestControl(req, res, () => commands.loopB(req.query.position)));
+  router.get('/loopRegion/:start/:end', (req, res) => requestControl(req, res, () => loopRegion.set(currentTrackId(), req.params.start, req.params.end)));
+  router.get('/loopClear', (req, res) => requestControl(req, res, () => loopRegion.clear()));
+  router.get('/shuffleOn', (req, res) => restControl(req, res, () => spotify.setShuffle(true)));
+  router.get('/shuffleOff', (req, res) => restControl(req, res, () => spotify.setShuffle(false)));
+
+  // ---- Cue list endpoints ----
+
+  router.get('/cues', (req, res) => {
+    res.json({ ...cueList.toJSON(), state: cueList.getState() });
+  });
+  router.put('/cues', access.requireRole('admin'), express.json({ limit: '1mb' }), (req, res) => {
+    if (!controlEnabled()) return res.status(403).send('Control disabled');
+    recordCommand(req.principal, 'setCues', { via: 'rest', ip: req.ip });
+    cueList.setList(req.body)
+      .then(() => res.json({ ...cueList.toJSON(), state: cueList.getState() }))
+      .catch(err => res.status(400).send(err.message));
+  });
+  router.get('/cue_state', (req, res) => {
+    res.json(cueList.getState());
+  });
+  router.get('/cueGo', (req, res) => restControl(req, res, () => cueList.go()));
+  router.get('/cueBack', (req, res) => restControl(req, res, () => cueList.back()));
+  router.get('/cueJump/:n', (req, res) => requestControl(req, res, () => cueList.jump(req.params.n)));
+  router.get('/cueStop', (req, res) => restControl(req, res, () => cueList.stop()));
+
+  // ---- Device endpoints ----
+
+  router.get('/devices', (req, res) => {
+    if (!spotify) return res.status(503).send('Spotify not configured');
+    if (!req.query.refresh) return res.json(devices.getState());
+    devices.refresh()
+      .then(state => res.json(state))
+      .catch(err => sendControlError(res, err));
+  });
+  // Same command as the Socket.io event, for key allowlists, the audit log and metrics
+  router.get('/transfer/:deviceId', (req, res) => requestControl(req, res, () => devices.transfer(req.params.deviceId, req.query.play), 'transferPlayback'));
+
+  // ---- Queue endpoints ----
+
+  router.get('/addToQueue/:track', (req, res) => restControl(req, res, () => addToSpotifyQueue(req.params.track)));
+  router.get('/vqueue', (req, res) => {
+    res.json(virtualQueue.getState());
+  });
+  router.get('/vqueueAdd/:track', (req, res) => requestControl(req, res, () => virtualQueue.add(req.params.track, req.query.position)));
+  router.get('/vqueueRemove/:id', (req, res) => requestControl(req, res, () => virtualQueue.remove(req.params.id)));
+  router.get('/vqueueMove/:id/:position', (req, res) => requestControl(req, res, () => virtualQueue.move(req.params.id, req.params.position)));
+  router.get('/vqueueClear', (req, res) => requestControl(req, res, () => virtualQueue.clear()));
+  router.get('/vqueueNext', (req, res) => requestControl(req, res, () => virtualQueue.next()));
+
+  // ---- Search and library ----
+
+  function libraryRoute (fn) {
+    return (req, res) => {
+      if (!spotify) return res.status(503).send('Spotify not configured');
+      Promise.resolve()
+        .then(() => fn(req))
+        .then(result => res.json(result))
+        .catch(err => sendRequestError(res, err));
+    };
+  }
+
+  router.get('/search', libraryRoute(req => library.search(spotify, req.query)));
+  router.get('/playlists', libraryRoute(req => library.playlists(spotify, req.query)));
+  router.get('/playlists/:playlist/tracks', libraryRoute(req => library.playlistTracks(spotify, req.params.playlist, req.query)));
+  router.get('/queue', libraryRoute(() => library.queue(spotify)));
+
+  // ---- Socket.io ----
+
+  nsp.use(access.authenticateSocket());
+
+  nsp.on('connection', (socket) => {
+    const principal = socket.data.principal;
+    const controlStatus = () => controlEnabled() && access.canControl(principal);
+    // Socket commands have no reply; failures go to the log with who sent them
+    const failed = (command) => (err) => log.error(`${command} failed`, { command, socketId: socket.id, principal: principal.name, ip: socket.handshake.address, err });
+
+    socket.emit('version', VERSION);
+    socket.emit('control_status', controlStatus());
+    if (lastStatePayload) socket.emit('state_change', lastStatePayload);
+    socket.emit('ramping_state', volumeRamp.ramping);
+    socket.emit('rate_limit_status', getRateLimitStatus());
+    socket.emit('auth_status', getAuthStatus());
+    socket.emit('cue_state', cueList.getState());
+    socket.emit('queue_change', virtualQueue.getState());
+    socket.emit('devices_change', devices.getState());
+    socket.emit('loop_state', loopRegion.getState());
+    // First client after an idle period: refresh now instead of waiting out polling.idleMs
+    if (nsp.sockets.size === 1 && liveFeed.size === 0 && pollTimer) schedulePoll(0);
+
+    // Runs before every handler: commands the key may not send are dropped here
+    socket.use(([event, ...args], next) => {
+      if (!CONTROL_EVENTS.has(event)) return next();
+      if (!controlEnabled()) return;
+      if (!access.can(principal, event)) {
+        socket.emit('command_denied', { command: event, role: principal.role });
+        return;
+      }
+      // Drop a trailing acknowledgement callback from the recorded arguments
+      if (typeof args[args.length - 1] === 'function') args.pop();
+      recordCommand(principal, event, { args: args.length ? args : undefined, via: 'socket', socketId: socket.id, ip: socket.handshake.address });
+      markControlActivity();
+      next();
+    });
+
+    socket.on('version', () => socket.emit('version', VERSION));
+    socket.on('control_status', () => socket.emit('control_status', controlStatus()));
+    socket.on('rate_limit_status', () => socket.emit('rate_limit_status', getRateLimitStatus()));
+    socket.on('auth_status', () => socket.emit('auth_status', getAuthStatus()));
+    socket.on('state', () => {
+      if (lastStatePayload) socket.emit('state_change', lastStatePayload);
+      else pollPlaybackState();
+    });
+    // Opt in to state_change_ext (false opts out); the current state is sent right away
+    socket.on('state_ext', (enable) => {
+      if (enable === false) return socket.leave(EXTENDED_ROOM);
+      socket.join(EXTENDED_ROOM);
+      if (lastStatePayload) socket.emit('state_change_ext', extendedState.build(lastStatePayload));
+      else pollPlaybackState();
+    });
+
+    socket.on('play', () => controlEnabled() && spotify && spotify.play().catch(failed('play')));
+    socket.on('pause', () => controlEnabled() && spotify && spotify.pause().catch(failed('pause')));
+    socket.on('playToggle', async () => {
+      if (!controlEnabled() || !spotify) return;
+      try {
+        const player = await spotify.getPlaybackState();
+        if (player && player.is_playing) await spotify.pause();
+        else await spotify.play();
+      } catch (e) { failed('playToggle')(e); }
+    });
+    socket.on('next', () => controlEnabled() && spotify && spotify.next().catch(failed('next')));
+    socket.on('previous', () => controlEnabled() && spotify && spotify.previous().catch(failed('previous')));
+
+    socket.on('movePlayerPosition', (seconds) => {
+      if (!controlEnabled() || !spotify) return;
+      const delta = Number(seconds) || 0;
+      const positionMs = Math.max(0, (currentPosition() + delta) * 1000);
+      spotify.seek(positionMs).catch(failed('movePlayerPosition'));
+    });
+    socket.on('setPlayerPosition', (seconds) => {
+      if (!controlEnabled() || !spotify) return;
+      const sec = Math.max(0, Number(seconds) || 0);
+      spotify.seek(sec * 1000).catch(failed('setPlayerPosition'));
+    });
+
+    socket.on('playtrack', (trackUriOrId) => controlEnabled() && spotify && spotify.playTrack(trackUriOrId).catch(failed('playtrack')));
+    socket.on('playtrackincontext', (trackUriOrId, contextUriOrId) => {
+      if (!controlEnabled() || !spotify) return;
+      spotify.playTrackInContext(trackUriOrId, contextUriOrId).catch(failed('playtrackincontext'));
+    });
+
+    socket.on('volumeUp', () => {
+      if (volumeRamp.ramping || !controlEnabled() || !spotify) return;
+      const v = (lastStatePayload && lastStatePayload.state && lastStatePayload.state.volume != null) ? lastStatePayload.state.volume : 50;
+      spotify.setVolume(Math.min(100, v + 10)).catch(failed('volumeUp'));
+    });
+    socket.on('volumeDown', () => {
+      if (volumeRamp.ramping || !controlEnabled() || !spotify) return;
+      const v = (lastStatePayload && lastStatePayload.state && lastStatePayload.state.volume != null) ? lastStatePayload.state.volume : 50;
+      spotify.setVolume(Math.max(0, v - 10)).catch(failed('volumeDown'));
+    });
+    socket.on('setVolume', (volume0to100) => {
+      if (volumeRamp.ramping || !controlEnabled() || !spotify) return;
+      const v = Math.max(0, Math.min(100, Number(volume0to100) || 0));
+      spotify.setVolume(v).catch(failed('setVolume'));
+    });
+
+    /** Ramp events take an optional acknowledgement callback, called as (error, result) when the ramp is over. */
+    function onRamp (event, fn) {
+      socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        if (!controlEnabled()) return ack && ack('Control disabled');
+        if (!spotify) return ack && ack('Spotify not configured');
+        Promise.resolve()
+          .then(() => fn(...args))
+          .then(({ done }) => done)
+          .then(result => ack && ack(null, result), (err) => {
+            failed(event)(err);
+            if (ack) ack(err.message);
+          });
+      });
+    }
+
+    onRamp('rampVolume', (targetVolume, changePercent, rampTimeSeconds, curve) => startRamp(targetVolume, changePercent, rampTimeSeconds, curve));
+    onRamp('fadeOutPause', (rampTimeSeconds, curve) => fadeOutPause(rampTimeSeconds, curve));
+    onRamp('playFadeIn', (volume, rampTimeSeconds, curve) => playFadeIn(volume, rampTimeSeconds, curve));
+    onRamp('crossfadeTo', (trackUriOrId, contextUriOrId, options) => crossfadeTo(trackUriOrId, contextUriOrId, options || {}));
+    socket.on('cancelRamp', () => controlEnabled() && volumeRamp.cancel());
+
+    socket.on('mute', () => !volumeRamp.ramping && controlEnabled() && spotify && spotify.setVolume(0).catch(failed('mute')));
+    socket.on('unmute', () => !volumeRamp.ramping && controlEnabled() && spotify && spotify.setVolume(lastNonZeroVolume || 50).catch(failed('unmute')));
+    socket.on('repeatOn', () => controlEnabled() && spotify && spotify.setRepeat('context').catch(failed('repeatOn')));
+    socket.on('repeatOff', () => controlEnabled() && spotify && spotify.setRepeat('off').catch(failed('repeatOff')));
+    socket.on('repeatTrack', () => controlEnabled() && spotify && spotify.setRepeat('track').catch(failed('repeatTrack')));
+    socket.on('repeatContext', () => controlEnabled() && spotify && spotify.setRepeat('context').catch(failed('repeatContext')));
+    socket.on('repeatCycle', () => controlEnabled() && spotify && cycleRepeat().catch(failed('repeatCycle')));
+
+    const loopCommand = (command, fn) => {
+      if (!controlEnabled() || !spotify) return;
+      Promise.resolve().then(fn).catch(failed(command));
+    };
+    socket.on('loop_state', () => socket.emit('loop_state', loopRegion.getState()));
+    socket.on('loopA', (seconds) => loopCommand('loopA', () => commands.loopA(seconds)));
+    socket.on('loopB', (seconds) => loopCommand('loopB', () => commands.loopB(seconds)));
+    socket.on('loopRegion', (start, end) => loopCommand('loopRegion', () => loopRegion.set(currentTrackId(), start, end)));
+    socket.on('loopClear', () => loopCommand('loopClear', () => loopRegion.clear()));
+    socket.on('shuffleOn', () => controlEnabled() && spotify && spotify.setShuffle(true).catch(failed('shuffleOn')));
+    socket.on('shuffleOff', () => controlEnabled() && spotify && spotify.setShuffle(false).catch(failed('shuffleOff')));
+
+    /**
+     * Request/response for browsing: the result goes to an acknowledgement callback as
+     * (error, result) if the client passed one, otherwise it is emitted as responseEvent
+     * (errors as library_error).
+     */
+    function onLibraryRequest (event, responseEvent, fn) {
+      socket.on(event, (...args) => {
+        const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+        const reply = (err, result) => {
+          if (ack) return ack(err ? err.message : null, result);
+          if (err) socket.emit('library_error', { request: event, message: err.message, status: err.status || null });
+          else socket.emit(responseEvent, result);
+        };
+        if (!spotify) return reply(new Error('Spotify not configured'));
+        Promise.resolve()
+          .then(() => fn(...args))
+          .then(result => reply(null, result), reply);
+      });
+    }
+
+    onLibraryRequest('search', 'search_results', (params) => library.search(spotify, typeof params === 'string' ? { q: params } : params));
+    onLibraryRequest('playlists', 'playlists', (params) => library.playlists(spotify, params));
+    onLibraryRequest('playlist_tracks', 'playlist_tracks', (playlist, params) => library.playlistTracks(spotify, playlist, params));
+    onLibraryRequest('queue', 'queue', () => library.queue(spotify));
+
+    socket.on('cue_state', () => socket.emit('cue_state', cueList.getState()));
+    socket.on('cueGo', () => controlEnabled() && spotify && cueList.go().catch(failed('cueGo')));
+    socket.on('cueBack', () => controlEnabled() && spotify && cueList.back().catch(failed('cueBack')));
+    socket.on('cueJump', (n) => controlEnabled() && spotify && cueList.jump(n).catch(failed('cueJump')));
+    socket.on('cueStop', () => controlEnabled() && spotify && cueList.stop().catch(failed('cueStop')));
+
+    const queueCommand = (command, fn) => {
+      if (!controlEnabled() || !spotify) return;
+      Promise.resolve().then(fn).catch(failed(command));
+    };
+    socket.on('addToQueue', (trackUriOrId) => queueCommand('addToQueue', () => addToSpotifyQueue(trackUriOrId)));
+    socket.on('vqueue', () => socket.emit('queue_change', virtualQueue.getState()));
+    socket.on('vqueueAdd', (trackUriOrId, position) => queueCommand('vqueueAdd', () => virtualQueue.add(trackUriOrId, position)));
+    socket.on('vqueueRemove', (id) => queueCommand('vqueueRemove', () => virtualQueue.remove(id)));
+    socket.on('vqueueMove', (id, position) => queueCommand('vqueueMove', () => virtualQueue.move(id, position)));
+    socket.on('vqueueClear', () => queueCommand('vqueueClear', () => virtualQueue.clear()));
+    socket.on('vqueueNext', () => queueCommand('vqueueNext', () => virtualQueue.next()));
+
+    socket.on('devices', () => {
+      if (!spotify) return socket.emit('devices_change', devices.getState());
+      devices.refresh()
+        .then(state => socket.emit('devices_change', state))
+        .catch(failed('devices'));
+    });
+    socket.on('transferPlayback', (deviceIdOrName, play) => {
+      if (!controlEnabled() || !spotify) return;
+      devices.transfer(deviceIdOrName, play).catch(failed('transferPlayback'));
+    });
+  });
+
+  // ---- Health (GET /health, /ready) ----
+
+  /**
+   * Zone checks: a working token, a poll that reached Spotify within health.maxPollAgeMs, and a
+   * device online (an active one with health.requireActiveDevice). ready when all pass.
+   */
+  function getHealth () {
+    const auth = getAuthStatus();
+    const pollAgeMs = lastPollAt ? Date.now() - lastPollAt : null;
+    const deviceState = devices.getState();
+    const deviceOk = deviceState.status === 'ok' || (deviceState.status === 'no_active_device' && !config.get('health.requireActiveDevice'));
+    const checks = {
+      // Clients without auth status (spotifyClientOverride) count as authorized once a poll went through
+      auth: { ok: auth.status === 'ok' || (auth.status === 'unknown' && lastPollAt != null), status: auth.status, message: auth.message || undefined },
+      poll: {
+        ok: pollAgeMs != null && pollAgeMs <= config.get('health.maxPollAgeMs'),
+        lastSuccessAt: lastPollAt ? new Date(lastPollAt).toISOString() : null,
+        ageMs: pollAgeMs,
+        lastError: lastPollError
+      },
+      device: { ok: deviceOk, status: deviceState.status, active: deviceState.active, target: deviceState.target, message: deviceState.message || undefined }
+    };
+    return {
+      zone: name,
+      ready: Object.values(checks).every(check => check.ok),
+      checks,
+      clients: { socketio: nsp.sockets.size, ...liveFeed.counts() }
+    };
+  }
+
+  // ---- Config reload (config.js) ----
+
+  /** Apply reloaded settings that are not simply read again at their next use. */
+  function onConfigChange ({ changed }) {
+    const touched = (prefix) => changed.some(key => key === prefix || key.startsWith(prefix + '.'));
+    if (touched('allowControl')) {
+      for (const socket of nsp.sockets.values()) {
+        socket.emit('control_status', controlEnabled() && access.canControl(socket.data.principal));
+      }
+      liveFeed.resend('control_status');
+    }
+    if (touched('polling') || touched('rateLimit')) {
+      if (pollTimer) schedulePoll(nextPollDelay());
+      if (tickTimer) {
+        clearInterval(tickTimer);
+        tickTimer = setInterval(tickPosition, config.get('polling.positionTickMs'));
+      }
+    }
+    if (touched('devices') || touched(`zones.${name}`)) {
+      devices.transferOnStart = config.get('devices.autoTransferOnStart');
+      devices.setIntervalMs(config.get('devices.pollMs'));
+      devices.setPreferred(preferredDevices());
+    }
+    if (touched('ramps')) volumeRamp.minStepMs = config.get('ramps.minStepMs');
+  }
+  config.on('change', onConfigChange);
+
+  // ---- start / stop ----
+
+  async function start () {
+    if (spotifyClientOverride) {
+      attachSpotify(spotifyClientOverride);
+    } else {
+      await initSpotify();
+    }
+  }
+
+  function stop () {
+    stopPolling();
+    if (trackRecorder) trackRecorder.finish('shutdown');
+    if (spotify && typeof spotify.removeListener === 'function') {
+      spotify.removeListener('throttle', onThrottle);
+      spotify.removeListener('auth_status', onAuthStatus);
+      spotify.removeListener('request', onSpotifyRequest);
+    }
+    volumeRamp.cancel();
+    virtualQueue.stop();
+    loopRegion.stop();
+    liveFeed.stop();
+    devices.stop();
+    config.removeListener('change', onConfigChange);
+  }
+
+  return {
+    name,
+    router,
+    nsp,
+    start,
+    stop,
+    getSpotify: () => spotify,
+    getOAuthClient,
+    authorize,
+    getLastStatePayload: () => lastStatePayload,
+    getHealth,
+    resolveCommand,
+    runCommand,
+    // Serve a plain WebSocket (ws) the server accepted for this zone
+    handleWebSocket: (ws, principal) => liveFeed.addWebSocket(ws, principal),
+    // watched() turned true: poll now rather than at the end of an idle interval
+    wake: () => { if (pollTimer) schedulePoll(0); }
+  };
+}
+
+module.exports = { createZone, DEFAULT_ZONE, VERSION };